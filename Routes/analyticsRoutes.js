@@ -0,0 +1,252 @@
+import express from "express";
+import { query, validationResult } from "express-validator";
+import Job from "../models/Job.js";
+import { authenticate, isEmployerOrAdmin } from "../middleware/auth.js";
+import { canAccessJob, getUserCompanyIds } from "../services/permissions.js";
+import {
+  getJobAnalytics,
+  getEmployerAnalytics,
+} from "../services/analytics.js";
+import {
+  getJobViewTrend,
+  MAX_HOURLY_RANGE_DAYS,
+} from "../services/jobViews.js";
+import { ROLLUP_GRANULARITIES } from "../models/JobViewRollup.js";
+import { isTimeZone } from "../utils/timezone.js";
+
+const router = express.Router();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_RANGE_DAYS = 30;
+const MAX_RANGE_DAYS = 366;
+
+const rangeValidators = [
+  query(["from", "to"])
+    .optional()
+    .isISO8601()
+    .withMessage("from and to must be ISO 8601 dates"),
+  query("timezone")
+    .optional()
+    .custom(isTimeZone)
+    .withMessage("Timezone must be an IANA zone such as Europe/Berlin"),
+];
+
+/**
+ * Date range and time zone from the query, or an error message. Defaults
+ * to the last DEFAULT_RANGE_DAYS days.
+ */
+const getRange = (params) => {
+  const to = params.to ? new Date(params.to) : new Date();
+  const from = params.from
+    ? new Date(params.from)
+    : new Date(to.getTime() - DEFAULT_RANGE_DAYS * DAY_MS);
+
+  if (from >= to) return { error: "from must be before to" };
+  if (to - from > MAX_RANGE_DAYS * DAY_MS) {
+    return { error: `Date range cannot exceed ${MAX_RANGE_DAYS} days` };
+  }
+  return { range: { from, to }, timezone: params.timezone || "UTC" };
+};
+
+/**
+ * @route   GET /api/analytics/jobs/:id
+ * @desc    Funnel, status counts, review and hiring times and daily series
+ *          for one job (?from=&to=&timezone=)
+ * @access  Private (Hiring team or Admin only)
+ */
+router.get("/jobs/:id", authenticate, rangeValidators, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    const { range, timezone, error } = getRange(req.query);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    const job = await Job.findById(req.params.id).select(
+      "title company isActive viewsCount publishedAt createdBy companyProfile"
+    );
+    if (!job) {
+      return res.status(404).json({ success: false, message: "Job not found" });
+    }
+
+    if (!(await canAccessJob(req.user, job, "applications:view"))) {
+      return res.status(403).json({
+        success: false,
+        message:
+          "Access denied. You can only view analytics for jobs you or your team manage.",
+      });
+    }
+
+    const report = await getJobAnalytics(job, { range, timezone });
+
+    res.json({
+      success: true,
+      data: {
+        job: {
+          id: job._id,
+          title: job.title,
+          company: job.company,
+          isActive: job.isActive,
+          publishedAt: job.publishedAt,
+        },
+        ...report,
+      },
+    });
+  } catch (error) {
+    console.error("Get job analytics error:", error);
+    if (error.name === "CastError") {
+      return res
+        .status(400)
+        .json({ success: false, message: "Invalid job ID format" });
+    }
+    res
+      .status(500)
+      .json({ success: false, message: "Server error fetching analytics" });
+  }
+});
+
+/**
+ * @route   GET /api/analytics/jobs/:id/views
+ * @desc    Deduplicated view counts for one job per UTC hour or day
+ *          (?granularity=hour|day&from=&to=)
+ * @access  Private (Hiring team or Admin only)
+ */
+router.get(
+  "/jobs/:id/views",
+  authenticate,
+  [
+    query(["from", "to"])
+      .optional()
+      .isISO8601()
+      .withMessage("from and to must be ISO 8601 dates"),
+    query("granularity")
+      .optional()
+      .isIn(ROLLUP_GRANULARITIES)
+      .withMessage(`Granularity must be one of: ${ROLLUP_GRANULARITIES}`),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const { range, error } = getRange(req.query);
+      if (error) {
+        return res.status(400).json({ success: false, message: error });
+      }
+      const granularity = req.query.granularity || "day";
+      if (
+        granularity === "hour" &&
+        range.to - range.from > MAX_HOURLY_RANGE_DAYS * DAY_MS
+      ) {
+        return res.status(400).json({
+          success: false,
+          message: `Hourly views are limited to ${MAX_HOURLY_RANGE_DAYS} days`,
+        });
+      }
+
+      const job = await Job.findById(req.params.id).select(
+        "title viewsCount createdBy companyProfile"
+      );
+      if (!job) {
+        return res
+          .status(404)
+          .json({ success: false, message: "Job not found" });
+      }
+
+      if (!(await canAccessJob(req.user, job, "applications:view"))) {
+        return res.status(403).json({
+          success: false,
+          message:
+            "Access denied. You can only view analytics for jobs you or your team manage.",
+        });
+      }
+
+      const trend = await getJobViewTrend(job._id, { granularity, ...range });
+
+      res.json({
+        success: true,
+        data: {
+          job: { id: job._id, title: job.title },
+          range,
+          totalViews: job.viewsCount || 0,
+          ...trend,
+        },
+      });
+    } catch (error) {
+      console.error("Get job views error:", error);
+      if (error.name === "CastError") {
+        return res
+          .status(400)
+          .json({ success: false, message: "Invalid job ID format" });
+      }
+      res
+        .status(500)
+        .json({ success: false, message: "Server error fetching job views" });
+    }
+  }
+);
+
+/**
+ * @route   GET /api/analytics/employer
+ * @desc    The same report across every job the user or their company
+ *          teams posted, with a per-job breakdown
+ * @access  Private (Employer/Admin)
+ */
+router.get(
+  "/employer",
+  authenticate,
+  isEmployerOrAdmin,
+  rangeValidators,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const { range, timezone, error } = getRange(req.query);
+      if (error) {
+        return res.status(400).json({ success: false, message: error });
+      }
+
+      // Same jobs as GET /api/jobs/my/posted
+      const companyIds = await getUserCompanyIds(req.user);
+      const report = await getEmployerAnalytics(
+        {
+          $or: [
+            { createdBy: req.user._id, companyProfile: null },
+            { companyProfile: { $in: companyIds } },
+          ],
+        },
+        { range, timezone }
+      );
+
+      res.json({ success: true, data: report });
+    } catch (error) {
+      console.error("Get employer analytics error:", error);
+      res
+        .status(500)
+        .json({ success: false, message: "Server error fetching analytics" });
+    }
+  }
+);
+
+export default router;
@@ -1,8 +1,32 @@
-const express = require("express");
-const { body, query, validationResult } = require("express-validator");
-const Application = require("../models/Application");
-const Job = require("../models/Job");
-const { authenticate, isEmployerOrAdmin } = require("../middleware/auth");
+import express from "express";
+import { body, query, validationResult } from "express-validator";
+import Application, { APPLICATION_STATUSES } from "../models/Application.js";
+import Job from "../models/Job.js";
+import {
+  authenticate,
+  isEmployerOrAdmin,
+  requireVerifiedEmail,
+} from "../middleware/auth.js";
+import {
+  submitApplication,
+  changeApplicationStatus,
+  buildTimeline,
+  toCandidateApplication,
+  CANDIDATE_HIDDEN_FIELDS,
+  RESUME_LINK_OPTIONS,
+} from "../services/applications.js";
+import { sendStoredFile } from "../services/storage.js";
+import { canAccessJob } from "../services/permissions.js";
+import { scoreJobMatch } from "../services/matching.js";
+import { buildAnswerFilters } from "../services/screening.js";
+import { emitEvent } from "../services/events.js";
+import { deleteMessageThreads } from "../services/messages.js";
+import HttpError from "../utils/httpError.js";
+import {
+  findPage,
+  getPaginationOptions,
+  paginationValidators,
+} from "../utils/pagination.js";
 
 const router = express.Router();
 
@@ -12,13 +36,25 @@ const router = express.Router();
 router.post(
   "/",
   authenticate,
+  requireVerifiedEmail,
   [
     body("jobId").isMongoId().withMessage("Invalid job ID"),
-    body("resumeLink").isURL().withMessage("Resume link must be a valid URL"),
+    body("resumeFileId")
+      .optional()
+      .isMongoId()
+      .withMessage("Invalid resume file ID"),
+    body("resumeLink")
+      .if(body("resumeFileId").not().exists())
+      .isURL(RESUME_LINK_OPTIONS)
+      .withMessage("Provide a resume file or a valid resume link URL"),
     body("coverLetter")
       .optional()
       .isLength({ max: 2000 })
       .withMessage("Cover letter cannot exceed 2000 characters"),
+    body("answers")
+      .optional()
+      .isArray({ max: 20 })
+      .withMessage("Answers must be a list of { question, value }"),
   ],
   async (req, res) => {
     try {
@@ -33,72 +69,34 @@ router.post(
           });
       }
 
-      const { jobId, resumeLink, coverLetter } = req.body;
-
-      const job = await Job.findById(jobId);
-      if (!job) {
-        return res
-          .status(404)
-          .json({ success: false, message: "Job not found" });
-      }
-
-      if (!job.isActive) {
-        return res
-          .status(400)
-          .json({
-            success: false,
-            message: "This job is no longer accepting applications",
-          });
-      }
+      const { jobId, resumeLink, resumeFileId, coverLetter, answers } =
+        req.body;
 
-      if (job.applicationDeadline && new Date() > job.applicationDeadline) {
-        return res
-          .status(400)
-          .json({ success: false, message: "Application deadline has passed" });
-      }
-
-      const existingApplication = await Application.findOne({
-        job: jobId,
-        applicant: req.user._id,
-      });
-      if (existingApplication) {
-        return res
-          .status(400)
-          .json({
-            success: false,
-            message: "You have already applied to this job",
-          });
-      }
-
-      if (job.createdBy.toString() === req.user._id.toString()) {
-        return res
-          .status(400)
-          .json({
-            success: false,
-            message: "You cannot apply to your own job posting",
-          });
-      }
-
-      const application = new Application({
-        job: jobId,
-        applicant: req.user._id,
-        resumeLink,
+      const application = await submitApplication({
+        jobId,
+        applicantId: req.user._id,
+        resumeLink: resumeFileId ? undefined : resumeLink,
+        resumeFileId,
         coverLetter,
+        answers,
       });
 
-      await application.save();
-      await Job.findByIdAndUpdate(jobId, { $inc: { applicationsCount: 1 } });
-
       const populatedApplication = await Application.findById(application._id)
         .populate("job", "title company location type")
+        .populate("resumeFile", "originalName mimeType size")
         .populate("applicant", "name email profile");
 
       res.status(201).json({
         success: true,
         message: "Application submitted successfully",
-        data: { application: populatedApplication },
+        data: { application: toCandidateApplication(populatedApplication) },
       });
     } catch (error) {
+      if (error instanceof HttpError) {
+        return res
+          .status(error.status)
+          .json({ success: false, message: error.message });
+      }
       console.error("Apply to job error:", error);
       res
         .status(500)
@@ -117,24 +115,8 @@ router.get(
   "/my",
   authenticate,
   [
-    query("page")
-      .optional()
-      .isInt({ min: 1 })
-      .withMessage("Page must be a positive integer"),
-    query("limit")
-      .optional()
-      .isInt({ min: 1, max: 50 })
-      .withMessage("Limit must be between 1 and 50"),
-    query("status")
-      .optional()
-      .isIn([
-        "pending",
-        "reviewed",
-        "shortlisted",
-        "interviewed",
-        "hired",
-        "rejected",
-      ]),
+    ...paginationValidators,
+    query("status").optional().isIn(APPLICATION_STATUSES),
   ],
   async (req, res) => {
     try {
@@ -149,34 +131,37 @@ router.get(
           });
       }
 
-      const { page = 1, limit = 10, status } = req.query;
+      const { status } = req.query;
       const queryObj = { applicant: req.user._id };
       if (status) queryObj.status = status;
 
-      const skip = (parseInt(page) - 1) * parseInt(limit);
-      const [applications, total] = await Promise.all([
-        Application.find(queryObj)
-          .populate("job", "title company location type salary logo isActive")
-          .sort({ createdAt: -1 })
-          .skip(skip)
-          .limit(parseInt(limit))
-          .lean(),
-        Application.countDocuments(queryObj),
-      ]);
+      const { items: applications, pagination } = await findPage(
+        Application,
+        queryObj,
+        {
+          sort: { createdAt: -1 },
+          pagination: getPaginationOptions(req.query),
+          select: CANDIDATE_HIDDEN_FIELDS,
+          populate: [
+            {
+              path: "job",
+              select: "title company location type salary logo isActive",
+            },
+          ],
+          totalKey: "totalApplications",
+        }
+      );
 
       res.json({
         success: true,
-        data: {
-          applications,
-          pagination: {
-            currentPage: parseInt(page),
-            totalPages: Math.ceil(total / parseInt(limit)),
-            totalApplications: total,
-            limit: parseInt(limit),
-          },
-        },
+        data: { applications, pagination },
       });
     } catch (error) {
+      if (error instanceof HttpError) {
+        return res
+          .status(error.status)
+          .json({ success: false, message: error.message });
+      }
       console.error("Get my applications error:", error);
       res
         .status(500)
@@ -189,30 +174,19 @@ router.get(
 );
 
 // @route   GET /api/applications/job/:jobId
-// @desc    Get applicants for a specific job
-// @access  Private (Job creator or Admin only)
+// @desc    Get applicants for a specific job, optionally filtered by
+//          screening answers (answers[questionId]=value) or knockout
+// @access  Private (Hiring team or Admin only)
 router.get(
   "/job/:jobId",
   authenticate,
   [
-    query("page")
-      .optional()
-      .isInt({ min: 1 })
-      .withMessage("Page must be a positive integer"),
-    query("limit")
+    ...paginationValidators,
+    query("status").optional().isIn(APPLICATION_STATUSES),
+    query("knockedOut")
       .optional()
-      .isInt({ min: 1, max: 50 })
-      .withMessage("Limit must be between 1 and 50"),
-    query("status")
-      .optional()
-      .isIn([
-        "pending",
-        "reviewed",
-        "shortlisted",
-        "interviewed",
-        "hired",
-        "rejected",
-      ]),
+      .isBoolean()
+      .withMessage("knockedOut must be true or false"),
   ],
   async (req, res) => {
     try {
@@ -228,7 +202,7 @@ router.get(
       }
 
       const { jobId } = req.params;
-      const { page = 1, limit = 10, status } = req.query;
+      const { status } = req.query;
 
       const job = await Job.findById(jobId);
       if (!job) {
@@ -237,52 +211,67 @@ router.get(
           .json({ success: false, message: "Job not found" });
       }
 
-      if (
-        job.createdBy.toString() !== req.user._id.toString() &&
-        req.user.role !== "admin"
-      ) {
-        return res
-          .status(403)
-          .json({
-            success: false,
-            message:
-              "Access denied. You can only view applications for your own jobs.",
-          });
+      if (!(await canAccessJob(req.user, job, "applications:view"))) {
+        return res.status(403).json({
+          success: false,
+          message:
+            "Access denied. You can only view applications for jobs you or your team manage.",
+        });
       }
 
       const queryObj = { job: jobId };
       if (status) queryObj.status = status;
+      if (req.query.knockedOut !== undefined) {
+        queryObj.knockedOut = req.query.knockedOut === "true";
+      }
+      if (req.query.answers) {
+        queryObj.$and = buildAnswerFilters(
+          job.screeningQuestions,
+          req.query.answers
+        );
+      }
 
-      const skip = (parseInt(page) - 1) * parseInt(limit);
-      const [applications, total] = await Promise.all([
-        Application.find(queryObj)
-          .populate("applicant", "name email profile")
-          .populate("reviewedBy", "name")
-          .sort({ createdAt: -1 })
-          .skip(skip)
-          .limit(parseInt(limit))
-          .lean(),
-        Application.countDocuments(queryObj),
-      ]);
+      const { items: applications, pagination } = await findPage(
+        Application,
+        queryObj,
+        {
+          sort: { createdAt: -1 },
+          pagination: getPaginationOptions(req.query),
+          populate: [
+            { path: "applicant", select: "name email profile" },
+            { path: "reviewedBy", select: "name" },
+          ],
+          totalKey: "totalApplications",
+        }
+      );
+
+      // How well each applicant's profile fits the job
+      const jobData = job.toObject();
+      const scored = applications.map((application) => ({
+        ...application,
+        match: application.applicant
+          ? scoreJobMatch(application.applicant.profile, jobData)
+          : null,
+      }));
 
       res.json({
         success: true,
         data: {
-          applications,
+          applications: scored,
           job: {
             id: job._id,
             title: job.title,
             company: job.company,
           },
-          pagination: {
-            currentPage: parseInt(page),
-            totalPages: Math.ceil(total / parseInt(limit)),
-            totalApplications: total,
-            limit: parseInt(limit),
-          },
+          pagination,
         },
       });
     } catch (error) {
+      if (error instanceof HttpError) {
+        return res
+          .status(error.status)
+          .json({ success: false, message: error.message });
+      }
       console.error("Get job applications error:", error);
       res
         .status(500)
@@ -296,25 +285,20 @@ router.get(
 
 // @route   PUT /api/applications/:id/status
 // @desc    Update application status
-// @access  Private (Job creator or Admin only)
+// @access  Private (Hiring team or Admin only)
 router.put(
   "/:id/status",
   authenticate,
   [
-    body("status")
-      .isIn([
-        "pending",
-        "reviewed",
-        "shortlisted",
-        "interviewed",
-        "hired",
-        "rejected",
-      ])
-      .withMessage("Invalid status"),
+    body("status").isIn(APPLICATION_STATUSES).withMessage("Invalid status"),
     body("notes")
       .optional()
       .isLength({ max: 1000 })
       .withMessage("Notes cannot exceed 1000 characters"),
+    body("shareNoteWithCandidate")
+      .optional()
+      .isBoolean()
+      .withMessage("shareNoteWithCandidate must be a boolean"),
   ],
   async (req, res) => {
     try {
@@ -329,10 +313,10 @@ router.put(
           });
       }
 
-      const { status, notes } = req.body;
+      const { status, notes, shareNoteWithCandidate } = req.body;
       const application = await Application.findById(req.params.id).populate(
         "job",
-        "createdBy title company"
+        "createdBy companyProfile title company"
       );
 
       if (!application) {
@@ -342,24 +326,23 @@ router.put(
       }
 
       if (
-        application.job.createdBy.toString() !== req.user._id.toString() &&
-        req.user.role !== "admin"
+        !(await canAccessJob(req.user, application.job, "applications:manage"))
       ) {
-        return res
-          .status(403)
-          .json({
-            success: false,
-            message:
-              "Access denied. You can only update applications for your own jobs.",
-          });
+        return res.status(403).json({
+          success: false,
+          message:
+            "Access denied. You can only update applications for jobs you or your team manage.",
+        });
       }
 
-      application.status = status;
-      if (notes) application.notes = notes;
-      application.reviewedBy = req.user._id;
-      application.reviewedAt = new Date();
-
-      await application.save();
+      await changeApplicationStatus(application, {
+        to: status,
+        actorId: req.user._id,
+        note: notes,
+        internal: !(
+          shareNoteWithCandidate === true || shareNoteWithCandidate === "true"
+        ),
+      });
 
       const updatedApplication = await Application.findById(application._id)
         .populate("applicant", "name email")
@@ -372,6 +355,11 @@ router.put(
         data: { application: updatedApplication },
       });
     } catch (error) {
+      if (error instanceof HttpError) {
+        return res
+          .status(error.status)
+          .json({ success: false, message: error.message });
+      }
       console.error("Update application status error:", error);
       res
         .status(500)
@@ -383,15 +371,127 @@ router.put(
   }
 );
 
+// @route   GET /api/applications/:id/timeline
+// @desc    Get the status history of an application
+// @access  Private (Applicant, hiring team, or Admin only)
+router.get("/:id/timeline", authenticate, async (req, res) => {
+  try {
+    const application = await Application.findById(req.params.id)
+      .select("applicant job status statusHistory createdAt")
+      .populate("job", "title company createdBy companyProfile")
+      .populate("statusHistory.changedBy", "name");
+
+    if (!application) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Application not found" });
+    }
+
+    const isApplicant =
+      application.applicant.toString() === req.user._id.toString();
+    const isHiringTeam = await canAccessJob(
+      req.user,
+      application.job,
+      "applications:view"
+    );
+
+    if (!isApplicant && !isHiringTeam) {
+      return res.status(403).json({
+        success: false,
+        message:
+          "Access denied. You can only view your own applications or applications to your jobs.",
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        status: application.status,
+        timeline: buildTimeline(application, {
+          forCandidate: !isHiringTeam,
+        }),
+      },
+    });
+  } catch (error) {
+    console.error("Get application timeline error:", error);
+    if (error.name === "CastError") {
+      return res
+        .status(400)
+        .json({ success: false, message: "Invalid application ID format" });
+    }
+    res
+      .status(500)
+      .json({ success: false, message: "Server error fetching timeline" });
+  }
+});
+
+// @route   GET /api/applications/:id/resume
+// @desc    Download the resume attached to an application
+// @access  Private (Applicant, hiring team, or Admin only)
+router.get("/:id/resume", authenticate, async (req, res) => {
+  try {
+    const application = await Application.findById(req.params.id)
+      .select("applicant job resumeFile resumeLink")
+      .populate("job", "createdBy companyProfile")
+      .populate("resumeFile");
+
+    if (!application) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Application not found" });
+    }
+
+    const isApplicant =
+      application.applicant.toString() === req.user._id.toString();
+    const isHiringTeam = await canAccessJob(
+      req.user,
+      application.job,
+      "applications:view"
+    );
+
+    if (!isApplicant && !isHiringTeam) {
+      return res.status(403).json({
+        success: false,
+        message:
+          "Access denied. You can only view your own applications or applications to your jobs.",
+      });
+    }
+
+    if (application.resumeFile) {
+      return sendStoredFile(res, application.resumeFile);
+    }
+    if (application.resumeLink) {
+      return res.redirect(application.resumeLink);
+    }
+    res
+      .status(404)
+      .json({ success: false, message: "No resume attached to application" });
+  } catch (error) {
+    console.error("Download resume error:", error);
+    if (error.name === "CastError") {
+      return res
+        .status(400)
+        .json({ success: false, message: "Invalid application ID format" });
+    }
+    res
+      .status(500)
+      .json({ success: false, message: "Server error fetching resume" });
+  }
+});
+
 // @route   GET /api/applications/:id
 // @desc    Get single application details
-// @access  Private (Applicant, Job creator, or Admin only)
+// @access  Private (Applicant, hiring team, or Admin only)
 router.get("/:id", authenticate, async (req, res) => {
   try {
     const application = await Application.findById(req.params.id)
       .populate("applicant", "name email profile")
-      .populate("job", "title company location type salary createdBy")
-      .populate("reviewedBy", "name");
+      .populate(
+        "job",
+        "title company location type salary createdBy companyProfile"
+      )
+      .populate("reviewedBy", "name")
+      .populate("resumeFile", "originalName mimeType size");
 
     if (!application) {
       return res
@@ -401,11 +501,13 @@ router.get("/:id", authenticate, async (req, res) => {
 
     const isApplicant =
       application.applicant._id.toString() === req.user._id.toString();
-    const isJobCreator =
-      application.job.createdBy.toString() === req.user._id.toString();
-    const isAdmin = req.user.role === "admin";
+    const isHiringTeam = await canAccessJob(
+      req.user,
+      application.job,
+      "applications:view"
+    );
 
-    if (!isApplicant && !isJobCreator && !isAdmin) {
+    if (!isApplicant && !isHiringTeam) {
       return res
         .status(403)
         .json({
@@ -415,7 +517,14 @@ router.get("/:id", authenticate, async (req, res) => {
         });
     }
 
-    res.json({ success: true, data: { application } });
+    if (isHiringTeam) {
+      return res.json({ success: true, data: { application } });
+    }
+
+    res.json({
+      success: true,
+      data: { application: toCandidateApplication(application) },
+    });
   } catch (error) {
     console.error("Get application error:", error);
     res
@@ -459,10 +568,16 @@ router.delete("/:id", authenticate, async (req, res) => {
 
     await Promise.all([
       Application.findByIdAndDelete(req.params.id),
+      deleteMessageThreads([application._id]),
       Job.findByIdAndUpdate(application.job, {
         $inc: { applicationsCount: -1 },
       }),
     ]);
+    emitEvent("application:withdrawn", {
+      application,
+      job: application.job,
+      actorId: req.user._id,
+    });
 
     res.json({ success: true, message: "Application withdrawn successfully" });
   } catch (error) {
@@ -476,4 +591,4 @@ router.delete("/:id", authenticate, async (req, res) => {
   }
 });
 
-module.exports = router;
+export default router;
@@ -1,113 +1,35 @@
-const express = require("express");
-const router = express.Router();
-const bcrypt = require("bcryptjs");
-const { body, validationResult } = require("express-validator");
-const User = require("../models/User");
-
-// ===================== Register route =====================
-router.post(
-  "/register",
-  [
-    body("name").notEmpty().withMessage("Name is required"),
-    body("email").isEmail().withMessage("Valid email is required"),
-    body("password")
-      .isLength({ min: 6 })
-      .withMessage("Password must be at least 6 characters"),
-    body("userType").notEmpty().withMessage("User type is required"),
-  ],
-  async (req, res) => {
-    try {
-      const errors = validationResult(req);
-      if (!errors.isEmpty()) {
-        return res
-          .status(400)
-          .json({ msg: "Validation failed", errors: errors.array() });
-      }
-
-      const {
-        name,
-        email,
-        password,
-        userType,
-        dateOfBirth,
-        location,
-        education,
-        degree,
-        fieldOfStudy,
-        university,
-        graduationYear,
-        gpa,
-        experience,
-        currentJobTitle,
-        currentCompany,
-        skills,
-        jobType,
-        workType,
-        preferredLocation,
-        salaryRange,
-        industries,
-      } = req.body;
-
-      // Check if user already exists
-      const existingUser = await User.findOne({ email });
-      if (existingUser) {
-        return res.status(400).json({ msg: "User already exists" });
-      }
-
-      // Hash password
-      const salt = await bcrypt.genSalt(10);
-      const hashedPassword = await bcrypt.hash(password, salt);
-
-      // Create new user
-      const newUser = new User({
-        name,
-        email,
-        password: hashedPassword,
-        userType,
-        dateOfBirth,
-        location,
-        education,
-        degree,
-        fieldOfStudy,
-        university,
-        graduationYear,
-        gpa,
-        experience,
-        currentJobTitle,
-        currentCompany,
-        skills,
-        jobType,
-        workType,
-        preferredLocation,
-        salaryRange,
-        industries,
-        applications: [],
-      });
+import express from "express";
+import { body, validationResult } from "express-validator";
+import Application from "../models/Application.js";
+import { authenticate, requireVerifiedEmail } from "../middleware/auth.js";
+import {
+  submitApplication,
+  RESUME_LINK_OPTIONS,
+} from "../services/applications.js";
+import HttpError from "../utils/httpError.js";
 
-      await newUser.save();
-
-      const userToReturn = newUser.toObject();
-      delete userToReturn.password;
+const router = express.Router();
 
-      res
-        .status(201)
-        .json({ msg: "User registered successfully", user: userToReturn });
-    } catch (error) {
-      console.error("Registration error:", error);
-      res.status(500).json({ msg: "Server error" });
-    }
-  }
-);
+// Registration lives in authRoutes.js, which accepts the same payload
+// (userType and the flat profile fields) and stores it on User.profile.
 
 // ===================== Apply Job route =====================
+// Compatibility shim for older clients. Applications are stored in the
+// Application collection exactly like POST /api/applications; the caller
+// is taken from the token, and any `userId` in the body is ignored.
 router.post(
   "/apply-job",
+  authenticate,
+  requireVerifiedEmail,
   [
-    body("userId").notEmpty().withMessage("User ID is required"),
-    body("jobId").notEmpty().withMessage("Job ID is required"),
-    body("jobTitle").notEmpty().withMessage("Job title is required"),
-    body("company").notEmpty().withMessage("Company is required"),
-    body("resume").notEmpty().withMessage("Resume link or file is required"),
+    body("jobId").isMongoId().withMessage("Valid job ID is required"),
+    body("resume")
+      .isURL(RESUME_LINK_OPTIONS)
+      .withMessage("Resume must be a valid http(s) URL"),
+    body("coverLetter")
+      .optional()
+      .isLength({ max: 2000 })
+      .withMessage("Cover letter cannot exceed 2000 characters"),
   ],
   async (req, res) => {
     try {
@@ -118,59 +40,44 @@ router.post(
           .json({ msg: "Validation failed", errors: errors.array() });
       }
 
-      const {
-        userId,
-        jobId,
-        jobTitle,
-        company,
-        location,
-        salary,
-        personalInfo,
-        resume,
-        coverLetter,
-      } = req.body;
+      const { jobId, resume, coverLetter } = req.body;
 
-      const user = await User.findById(userId);
-      if (!user) {
-        return res.status(404).json({ msg: "User not found" });
-      }
-
-      // Check if user has already applied to this job
-      const alreadyApplied = user.applications.some(
-        (app) => app.jobId === jobId
-      );
-      if (alreadyApplied) {
-        return res
-          .status(400)
-          .json({ msg: "You have already applied to this job" });
-      }
-
-      // Create new application object
-      const newApplication = {
+      const application = await submitApplication({
         jobId,
-        jobTitle,
-        company,
-        location,
-        salary,
-        personalInfo,
-        resume,
+        applicantId: req.user._id,
+        resumeLink: resume,
         coverLetter,
-        appliedAt: new Date(),
-      };
+      });
 
-      // Push to user's applications array
-      user.applications.push(newApplication);
-      await user.save();
+      const populated = await Application.findById(application._id).populate(
+        "job",
+        "title company location salary"
+      );
 
+      // Keep the response shape older clients expect
       res.status(200).json({
         msg: "Application submitted successfully",
-        application: newApplication,
+        application: {
+          id: populated._id,
+          jobId: populated.job._id,
+          jobTitle: populated.job.title,
+          company: populated.job.company,
+          location: populated.job.location,
+          salary: populated.job.salary,
+          resume: populated.resumeLink,
+          coverLetter: populated.coverLetter,
+          status: populated.status,
+          appliedAt: populated.createdAt,
+        },
       });
     } catch (error) {
+      if (error instanceof HttpError) {
+        return res.status(error.status).json({ msg: error.message });
+      }
       console.error("Apply job error:", error);
       res.status(500).json({ msg: "Server error" });
     }
   }
 );
 
-module.exports = router;
+export default router;
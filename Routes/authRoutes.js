@@ -1,13 +1,38 @@
-const express = require("express");
-const jwt = require("jsonwebtoken");
-const { body, validationResult } = require("express-validator");
-const User = require("../models/User");
+import express from "express";
+import { body, validationResult } from "express-validator";
+import User from "../models/User.js";
+import { authenticate } from "../middleware/auth.js";
+import {
+  createSession,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeAllSessions,
+  issueActionToken,
+  consumeActionToken,
+} from "../utils/tokens.js";
+import { sendMail } from "../services/mailer.js";
+import { appUrl } from "../utils/appUrl.js";
+import { PROFILE_FIELDS, pickFields } from "../utils/userFields.js";
 
 const router = express.Router();
 
-const generateToken = (userId) => {
-  return jwt.sign({ userId }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRE || "7d",
+const sendVerificationEmail = async (user) => {
+  const token = await issueActionToken(user._id, "verify-email");
+  const link = appUrl(`/verify-email?token=${encodeURIComponent(token)}`);
+  await sendMail({
+    to: user.email,
+    subject: "Verify your email address",
+    text: `Hi ${user.name},\n\nPlease confirm your email address by opening this link:\n${link}\n\nIf you did not create an account, you can ignore this email.`,
+  });
+};
+
+const sendPasswordResetEmail = async (user) => {
+  const token = await issueActionToken(user._id, "reset-password");
+  const link = appUrl(`/reset-password?token=${encodeURIComponent(token)}`);
+  await sendMail({
+    to: user.email,
+    subject: "Reset your password",
+    text: `Hi ${user.name},\n\nA password reset was requested for your account. Open this link to choose a new password:\n${link}\n\nIf you did not request this, you can ignore this email.`,
   });
 };
 
@@ -20,6 +45,11 @@ router.post(
     body("password")
       .isLength({ min: 6 })
       .withMessage("Password at least 6 chars."),
+    // `userType` is the field name used by the older registration form
+    body(["role", "userType"])
+      .optional()
+      .isIn(["jobseeker", "employer"])
+      .withMessage("Role must be jobseeker or employer."),
   ],
   async (req, res) => {
     const errors = validationResult(req);
@@ -27,7 +57,8 @@ router.post(
       return res.status(400).json({ success: false, errors: errors.array() });
     }
 
-    const { name, email, password, role } = req.body;
+    const { name, email, password } = req.body;
+    const role = req.body.role || req.body.userType || "jobseeker";
 
     try {
       let user = await User.findOne({ email });
@@ -38,9 +69,26 @@ router.post(
       }
 
       user = new User({ name, email, password, role });
+
+      // Employers set up their company with POST /api/companies once their
+      // email is verified
+      if (role === "jobseeker") {
+        // Accept profile fields nested under `profile` or flat on the body
+        user.profile = pickFields(
+          { ...req.body, ...req.body.profile },
+          PROFILE_FIELDS
+        );
+      }
+
       await user.save();
 
-      const token = generateToken(user._id);
+      const { token, refreshToken } = await createSession(user._id, req);
+
+      // A mail failure should not undo the registration; the user can
+      // request another link from /verify-email/resend.
+      sendVerificationEmail(user).catch((error) =>
+        console.error("Verification email error:", error)
+      );
 
       res.status(201).json({
         success: true,
@@ -51,12 +99,17 @@ router.post(
             name: user.name,
             email: user.email,
             role: user.role,
+            emailVerified: user.emailVerified,
           },
           token,
+          refreshToken,
         },
       });
     } catch (error) {
       console.error("Registration error:", error);
+      if (error.name === "ValidationError") {
+        return res.status(400).json({ success: false, message: error.message });
+      }
       res.status(500).json({ success: false, message: "Server error" });
     }
   }
@@ -92,7 +145,7 @@ router.post(
           .json({ success: false, message: "Invalid email or password." });
       }
 
-      const token = generateToken(user._id);
+      const { token, refreshToken } = await createSession(user._id, req);
 
       res.json({
         success: true,
@@ -103,8 +156,10 @@ router.post(
             name: user.name,
             email: user.email,
             role: user.role,
+            emailVerified: user.emailVerified,
           },
           token,
+          refreshToken,
         },
       });
     } catch (error) {
@@ -114,4 +169,207 @@ router.post(
   }
 );
 
-module.exports = router;
+// ============ Refresh ============
+router.post(
+  "/refresh",
+  [body("refreshToken").notEmpty().withMessage("Refresh token is required.")],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    try {
+      const rotated = await rotateRefreshToken(req.body.refreshToken);
+      if (!rotated) {
+        return res.status(401).json({
+          success: false,
+          message: "Invalid or expired refresh token.",
+        });
+      }
+
+      res.json({
+        success: true,
+        message: "Token refreshed.",
+        data: { token: rotated.token, refreshToken: rotated.refreshToken },
+      });
+    } catch (error) {
+      console.error("Refresh token error:", error);
+      res.status(500).json({ success: false, message: "Server error" });
+    }
+  }
+);
+
+// ============ Logout ============
+router.post(
+  "/logout",
+  [body("refreshToken").notEmpty().withMessage("Refresh token is required.")],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    try {
+      await revokeRefreshToken(req.body.refreshToken);
+      res.json({ success: true, message: "Logged out." });
+    } catch (error) {
+      console.error("Logout error:", error);
+      res.status(500).json({ success: false, message: "Server error" });
+    }
+  }
+);
+
+// ============ Logout all devices ============
+router.post("/logout-all", authenticate, async (req, res) => {
+  try {
+    const result = await revokeAllSessions(req.user._id);
+    res.json({
+      success: true,
+      message: "Logged out from all devices.",
+      data: { revokedSessions: result.modifiedCount },
+    });
+  } catch (error) {
+    console.error("Logout all error:", error);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+});
+
+// ============ Verify email ============
+router.post(
+  "/verify-email",
+  [body("token").notEmpty().withMessage("Token is required.")],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    try {
+      const userId = await consumeActionToken(req.body.token, "verify-email");
+      if (!userId) {
+        return res.status(400).json({
+          success: false,
+          message: "Verification link is invalid or has expired.",
+        });
+      }
+
+      const user = await User.findById(userId);
+      if (!user) {
+        return res
+          .status(404)
+          .json({ success: false, message: "User not found." });
+      }
+
+      if (!user.emailVerified) {
+        user.emailVerified = true;
+        user.emailVerifiedAt = new Date();
+        await user.save();
+      }
+
+      res.json({ success: true, message: "Email verified." });
+    } catch (error) {
+      console.error("Verify email error:", error);
+      res.status(500).json({ success: false, message: "Server error" });
+    }
+  }
+);
+
+// ============ Resend verification email ============
+router.post("/verify-email/resend", authenticate, async (req, res) => {
+  try {
+    if (req.user.emailVerified) {
+      return res
+        .status(400)
+        .json({ success: false, message: "Email is already verified." });
+    }
+
+    await sendVerificationEmail(req.user);
+    res.json({ success: true, message: "Verification email sent." });
+  } catch (error) {
+    console.error("Resend verification error:", error);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+});
+
+// ============ Forgot password ============
+router.post(
+  "/forgot-password",
+  [body("email").isEmail().withMessage("Valid email is required.")],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    try {
+      const user = await User.findOne({ email: req.body.email });
+      // Sent in the background and answered the same way either way, so
+      // neither timing nor mail errors reveal which addresses have accounts
+      if (user) {
+        sendPasswordResetEmail(user).catch((error) =>
+          console.error("Password reset email error:", error)
+        );
+      }
+
+      res.json({
+        success: true,
+        message: "If that email is registered, a reset link has been sent.",
+      });
+    } catch (error) {
+      console.error("Forgot password error:", error);
+      res.status(500).json({ success: false, message: "Server error" });
+    }
+  }
+);
+
+// ============ Reset password ============
+router.post(
+  "/reset-password",
+  [
+    body("token").notEmpty().withMessage("Token is required."),
+    body("password")
+      .isLength({ min: 6 })
+      .withMessage("Password at least 6 chars."),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    try {
+      const userId = await consumeActionToken(req.body.token, "reset-password");
+      if (!userId) {
+        return res.status(400).json({
+          success: false,
+          message: "Reset link is invalid or has expired.",
+        });
+      }
+
+      const user = await User.findById(userId);
+      if (!user) {
+        return res
+          .status(404)
+          .json({ success: false, message: "User not found." });
+      }
+
+      user.password = req.body.password;
+      // The reset link was delivered to this inbox, which proves ownership
+      user.emailVerified = true;
+      user.emailVerifiedAt = user.emailVerifiedAt || new Date();
+      await user.save();
+      await revokeAllSessions(user._id);
+
+      res.json({
+        success: true,
+        message: "Password has been reset. Please log in again.",
+      });
+    } catch (error) {
+      console.error("Reset password error:", error);
+      res.status(500).json({ success: false, message: "Server error" });
+    }
+  }
+);
+
+export default router;
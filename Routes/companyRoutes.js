@@ -0,0 +1,546 @@
+import express from "express";
+import { body, validationResult } from "express-validator";
+import Company, { COMPANY_SIZES, COMPANY_ROLES } from "../models/Company.js";
+import File from "../models/File.js";
+import Job from "../models/Job.js";
+import {
+  authenticate,
+  isEmployerOrAdmin,
+  requireVerifiedEmail,
+} from "../middleware/auth.js";
+import { uploadLogo, IMAGE_TYPES } from "../middleware/upload.js";
+import { requireCompanyRole } from "../middleware/permissions.js";
+import { getStorageDriver, sendStoredFile } from "../services/storage.js";
+import {
+  createCompany,
+  syncCompanyJobs,
+  createCompanyInvite,
+  acceptCompanyInvite,
+  updateCompanyMember,
+} from "../services/companies.js";
+import { sendMail } from "../services/mailer.js";
+import { appUrl } from "../utils/appUrl.js";
+import HttpError from "../utils/httpError.js";
+import { buildJobQuery } from "../utils/jobFilters.js";
+import {
+  findPage,
+  getPaginationOptions,
+  paginationValidators,
+} from "../utils/pagination.js";
+
+const router = express.Router();
+
+const PROFILE_FIELDS = [
+  "name",
+  "description",
+  "website",
+  "industry",
+  "size",
+  "location",
+];
+
+const profileValidators = [
+  body("description")
+    .optional()
+    .isLength({ max: 2000 })
+    .withMessage("Company description cannot exceed 2000 characters"),
+  body("website")
+    .optional({ values: "falsy" })
+    .isURL()
+    .withMessage("Website must be a valid URL"),
+  body("size")
+    .optional()
+    .isIn(COMPANY_SIZES)
+    .withMessage("Invalid company size"),
+];
+
+/**
+ * @route   GET /api/companies/my
+ * @desc    Get companies the current user belongs to
+ * @access  Private (Employer/Admin)
+ */
+router.get("/my", authenticate, isEmployerOrAdmin, async (req, res) => {
+  try {
+    const companies = await Company.find({ "members.user": req.user._id })
+      .sort({ name: 1 })
+      .lean();
+
+    res.json({
+      success: true,
+      data: {
+        companies: companies.map((company) => ({
+          ...company,
+          myRole: company.members.find(
+            (member) => member.user.toString() === req.user._id.toString()
+          ).role,
+        })),
+      },
+    });
+  } catch (error) {
+    console.error("Get my companies error:", error);
+    res
+      .status(500)
+      .json({ success: false, message: "Server error fetching companies" });
+  }
+});
+
+/**
+ * @route   POST /api/companies
+ * @desc    Create a company; the creator becomes its owner
+ * @access  Private (Employer/Admin)
+ */
+router.post(
+  "/",
+  authenticate,
+  isEmployerOrAdmin,
+  requireVerifiedEmail,
+  [
+    body("name")
+      .trim()
+      .isLength({ min: 2, max: 100 })
+      .withMessage("Company name must be 2–100 characters"),
+    ...profileValidators,
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const data = {};
+      for (const key of PROFILE_FIELDS) {
+        if (req.body[key] !== undefined) data[key] = req.body[key];
+      }
+
+      const company = await createCompany(req.user._id, data);
+
+      res.status(201).json({
+        success: true,
+        message: "Company created successfully",
+        data: { company },
+      });
+    } catch (error) {
+      if (error instanceof HttpError) {
+        return res
+          .status(error.status)
+          .json({ success: false, message: error.message });
+      }
+      console.error("Create company error:", error);
+      res
+        .status(500)
+        .json({ success: false, message: "Server error creating company" });
+    }
+  }
+);
+
+/**
+ * @route   POST /api/companies/invites/accept
+ * @desc    Join a company with an emailed invitation token
+ * @access  Private (Employer/Admin)
+ */
+router.post(
+  "/invites/accept",
+  authenticate,
+  isEmployerOrAdmin,
+  [body("token").notEmpty().withMessage("Token is required")],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const company = await acceptCompanyInvite(req.body.token, req.user);
+
+      res.json({
+        success: true,
+        message: `You have joined ${company.name}`,
+        data: { company: company.toPublicJSON() },
+      });
+    } catch (error) {
+      if (error instanceof HttpError) {
+        return res
+          .status(error.status)
+          .json({ success: false, message: error.message });
+      }
+      console.error("Accept company invite error:", error);
+      res
+        .status(500)
+        .json({ success: false, message: "Server error accepting invite" });
+    }
+  }
+);
+
+/**
+ * @route   GET /api/companies/:slug
+ * @desc    Public company page with its active jobs
+ * @access  Public
+ */
+router.get("/:slug", paginationValidators, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    const company = await Company.findOne({ slug: req.params.slug });
+    if (!company) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Company not found" });
+    }
+
+    // Same visibility rules as GET /api/jobs
+    const { items: jobs, pagination } = await findPage(
+      Job,
+      buildJobQuery({ companyProfile: company._id }),
+      {
+        sort: { featured: -1, createdAt: -1 },
+        pagination: getPaginationOptions(req.query),
+        select:
+          "title location type category salary experienceLevel featured applicationDeadline createdAt",
+        totalKey: "totalJobs",
+      }
+    );
+
+    res.json({
+      success: true,
+      data: { company: company.toPublicJSON(), jobs, pagination },
+    });
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res
+        .status(error.status)
+        .json({ success: false, message: error.message });
+    }
+    console.error("Get company error:", error);
+    res
+      .status(500)
+      .json({ success: false, message: "Server error fetching company" });
+  }
+});
+
+/**
+ * @route   PUT /api/companies/:slug
+ * @desc    Update the company profile
+ * @access  Private (Company owner/Admin)
+ */
+router.put(
+  "/:slug",
+  authenticate,
+  requireCompanyRole("owner"),
+  [
+    body("name")
+      .optional()
+      .trim()
+      .isLength({ min: 2, max: 100 })
+      .withMessage("Company name must be 2–100 characters"),
+    ...profileValidators,
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const { company } = req;
+
+      for (const key of PROFILE_FIELDS) {
+        if (req.body[key] !== undefined) company[key] = req.body[key];
+      }
+      const nameChanged = company.isModified("name");
+      await company.save();
+      if (nameChanged) await syncCompanyJobs(company);
+
+      res.json({
+        success: true,
+        message: "Company updated successfully",
+        data: { company },
+      });
+    } catch (error) {
+      console.error("Update company error:", error);
+      if (error.code === 11000) {
+        return res.status(409).json({
+          success: false,
+          message: "A company with this name already exists",
+        });
+      }
+      if (error.name === "ValidationError") {
+        return res.status(400).json({ success: false, message: error.message });
+      }
+      res
+        .status(500)
+        .json({ success: false, message: "Server error updating company" });
+    }
+  }
+);
+
+/**
+ * @route   POST /api/companies/:slug/logo
+ * @desc    Upload the company logo (PNG or JPEG)
+ * @access  Private (Company owner/Admin)
+ */
+router.post(
+  "/:slug/logo",
+  authenticate,
+  requireCompanyRole("owner"),
+  uploadLogo,
+  async (req, res) => {
+    try {
+      const { company } = req;
+      const { name, driver } = getStorageDriver();
+      const key = await driver.save(req.file.buffer, {
+        extension: IMAGE_TYPES[req.file.mimetype].extension,
+      });
+      const file = await File.create({
+        owner: req.user._id,
+        purpose: "logo",
+        driver: name,
+        key,
+        originalName: req.file.originalname,
+        mimeType: req.file.mimetype,
+        size: req.file.size,
+      });
+
+      const previous = company.logoFile
+        ? await File.findById(company.logoFile)
+        : null;
+
+      company.logoFile = file._id;
+      // Version the URL so caches pick up the new image
+      company.logo = `/api/companies/${company.slug}/logo?v=${file._id}`;
+      await company.save();
+      await syncCompanyJobs(company);
+
+      if (previous) {
+        await getStorageDriver(previous.driver).driver.remove(previous.key);
+        await previous.deleteOne();
+      }
+
+      res.json({
+        success: true,
+        message: "Logo updated successfully",
+        data: { logo: company.logo },
+      });
+    } catch (error) {
+      console.error("Upload company logo error:", error);
+      res
+        .status(500)
+        .json({ success: false, message: "Server error uploading logo" });
+    }
+  }
+);
+
+/**
+ * @route   GET /api/companies/:slug/logo
+ * @desc    Serve the company logo
+ * @access  Public
+ */
+router.get("/:slug/logo", async (req, res) => {
+  try {
+    const company = await Company.findOne({ slug: req.params.slug })
+      .select("logoFile")
+      .populate("logoFile");
+    if (!company || !company.logoFile) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Logo not found" });
+    }
+
+    res.set("Cache-Control", "public, max-age=86400");
+    sendStoredFile(res, company.logoFile, { inline: true });
+  } catch (error) {
+    console.error("Get company logo error:", error);
+    res
+      .status(500)
+      .json({ success: false, message: "Server error fetching logo" });
+  }
+});
+
+/**
+ * @route   POST /api/companies/:slug/invites
+ * @desc    Invite a teammate by email
+ * @access  Private (Company owner/Admin)
+ */
+router.post(
+  "/:slug/invites",
+  authenticate,
+  requireCompanyRole("owner"),
+  [
+    body("email").isEmail().withMessage("Valid email is required"),
+    body("role")
+      .optional()
+      .isIn(COMPANY_ROLES)
+      .withMessage(`Role must be one of: ${COMPANY_ROLES.join(", ")}`),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const { company } = req;
+
+      const email = req.body.email.toLowerCase();
+      const role = req.body.role || "recruiter";
+      const token = await createCompanyInvite(
+        company,
+        { email, role },
+        req.user._id
+      );
+      const link = appUrl(`/companies/invites/accept?token=${token}`);
+
+      await sendMail({
+        to: email,
+        subject: `You're invited to join ${company.name}`,
+        text: `${req.user.name} has invited you to join ${company.name} on the job portal as a ${role}.\n\nAccept the invitation (sign in with an employer account using this email address):\n${link}\n\nThis invitation expires in 7 days.`,
+      });
+
+      res.status(201).json({
+        success: true,
+        message: `Invitation sent to ${email}`,
+      });
+    } catch (error) {
+      console.error("Invite to company error:", error);
+      res
+        .status(500)
+        .json({ success: false, message: "Server error sending invite" });
+    }
+  }
+);
+
+/**
+ * @route   GET /api/companies/:slug/members
+ * @desc    List the company's team members and their roles
+ * @access  Private (Company members/Admin)
+ */
+router.get(
+  "/:slug/members",
+  authenticate,
+  requireCompanyRole(...COMPANY_ROLES),
+  async (req, res) => {
+    try {
+      await req.company.populate("members.user", "name email");
+
+      res.json({
+        success: true,
+        data: { members: req.company.members, myRole: req.companyRole },
+      });
+    } catch (error) {
+      console.error("Get company members error:", error);
+      res
+        .status(500)
+        .json({ success: false, message: "Server error fetching members" });
+    }
+  }
+);
+
+/**
+ * @route   PUT /api/companies/:slug/members/:userId
+ * @desc    Change a team member's role
+ * @access  Private (Company owner/Admin)
+ */
+router.put(
+  "/:slug/members/:userId",
+  authenticate,
+  requireCompanyRole("owner"),
+  [
+    body("role")
+      .isIn(COMPANY_ROLES)
+      .withMessage(`Role must be one of: ${COMPANY_ROLES.join(", ")}`),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      await updateCompanyMember(req.company, req.params.userId, req.body.role);
+
+      res.json({
+        success: true,
+        message: "Member role updated successfully",
+        data: { members: req.company.members },
+      });
+    } catch (error) {
+      if (error instanceof HttpError) {
+        return res
+          .status(error.status)
+          .json({ success: false, message: error.message });
+      }
+      console.error("Update company member error:", error);
+      res
+        .status(500)
+        .json({ success: false, message: "Server error updating member" });
+    }
+  }
+);
+
+/**
+ * @route   DELETE /api/companies/:slug/members/:userId
+ * @desc    Remove a team member, or leave the company yourself
+ * @access  Private (Company owner/Admin, or the member themself)
+ */
+router.delete(
+  "/:slug/members/:userId",
+  authenticate,
+  requireCompanyRole(...COMPANY_ROLES),
+  async (req, res) => {
+    try {
+      const isSelf = req.params.userId === req.user._id.toString();
+      if (!isSelf && req.companyRole !== "owner" && req.user.role !== "admin") {
+        return res.status(403).json({
+          success: false,
+          message: "Access denied. Only owners can remove other members.",
+        });
+      }
+
+      await updateCompanyMember(req.company, req.params.userId, null);
+
+      res.json({
+        success: true,
+        message: isSelf ? "You have left the company" : "Member removed",
+      });
+    } catch (error) {
+      if (error instanceof HttpError) {
+        return res
+          .status(error.status)
+          .json({ success: false, message: error.message });
+      }
+      console.error("Remove company member error:", error);
+      res
+        .status(500)
+        .json({ success: false, message: "Server error removing member" });
+    }
+  }
+);
+
+export default router;
@@ -0,0 +1,132 @@
+import express from "express";
+import File from "../models/File.js";
+import Company from "../models/Company.js";
+import Application from "../models/Application.js";
+import Message from "../models/Message.js";
+import { authenticate, authorize } from "../middleware/auth.js";
+import { uploadResume, RESUME_TYPES } from "../middleware/upload.js";
+import { getStorageDriver } from "../services/storage.js";
+
+const router = express.Router();
+
+/**
+ * @route   POST /api/files/resume
+ * @desc    Upload a resume (PDF or DOCX) to attach to applications
+ * @access  Private (Job seeker)
+ */
+router.post(
+  "/resume",
+  authenticate,
+  authorize("jobseeker"),
+  uploadResume,
+  async (req, res) => {
+    try {
+      const { name, driver } = getStorageDriver();
+      const key = await driver.save(req.file.buffer, {
+        extension: RESUME_TYPES[req.file.mimetype].extension,
+      });
+
+      const file = await File.create({
+        owner: req.user._id,
+        purpose: "resume",
+        driver: name,
+        key,
+        originalName: req.file.originalname,
+        mimeType: req.file.mimetype,
+        size: req.file.size,
+      });
+
+      res.status(201).json({
+        success: true,
+        message: "Resume uploaded successfully",
+        data: { file },
+      });
+    } catch (error) {
+      console.error("Upload resume error:", error);
+      res
+        .status(500)
+        .json({ success: false, message: "Server error uploading resume" });
+    }
+  }
+);
+
+/**
+ * @route   GET /api/files/resumes
+ * @desc    List the current user's uploaded resumes
+ * @access  Private
+ */
+router.get("/resumes", authenticate, async (req, res) => {
+  try {
+    const files = await File.find({ owner: req.user._id, purpose: "resume" })
+      .select("-driver -key")
+      .sort({ createdAt: -1 })
+      .lean();
+
+    res.json({ success: true, data: { files } });
+  } catch (error) {
+    console.error("List resumes error:", error);
+    res
+      .status(500)
+      .json({ success: false, message: "Server error fetching resumes" });
+  }
+});
+
+/**
+ * @route   DELETE /api/files/:id
+ * @desc    Delete an uploaded file that no application, message or company
+ *          logo uses
+ * @access  Private (Owner only)
+ */
+router.delete("/:id", authenticate, async (req, res) => {
+  try {
+    const file = await File.findById(req.params.id);
+    if (!file) {
+      return res
+        .status(404)
+        .json({ success: false, message: "File not found" });
+    }
+
+    if (file.owner.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ success: false, message: "Access denied" });
+    }
+
+    const inUse = await Application.exists({ resumeFile: file._id });
+    if (inUse) {
+      return res.status(400).json({
+        success: false,
+        message:
+          "This file is attached to an application and cannot be deleted",
+      });
+    }
+    if (await Message.exists({ attachments: file._id })) {
+      return res.status(400).json({
+        success: false,
+        message: "This file is attached to a message and cannot be deleted",
+      });
+    }
+    if (await Company.exists({ logoFile: file._id })) {
+      return res.status(409).json({
+        success: false,
+        message: "This file is a company logo and cannot be deleted",
+      });
+    }
+
+    const { driver } = getStorageDriver(file.driver);
+    await driver.remove(file.key);
+    await file.deleteOne();
+
+    res.json({ success: true, message: "File deleted successfully" });
+  } catch (error) {
+    console.error("Delete file error:", error);
+    if (error.name === "CastError") {
+      return res
+        .status(400)
+        .json({ success: false, message: "Invalid file ID format" });
+    }
+    res
+      .status(500)
+      .json({ success: false, message: "Server error deleting file" });
+  }
+});
+
+export default router;
@@ -0,0 +1,548 @@
+import express from "express";
+import { body, param, validationResult } from "express-validator";
+import Application from "../models/Application.js";
+import Interview, {
+  INTERVIEW_MODES,
+  RECOMMENDATIONS,
+} from "../models/Interview.js";
+import { authenticate } from "../middleware/auth.js";
+import {
+  getInterviewSide,
+  createInterview,
+  selectInterviewSlot,
+  rescheduleInterview,
+  cancelInterview,
+  submitInterviewFeedback,
+  buildInterviewInvite,
+  toCandidateView,
+} from "../services/interviews.js";
+import HttpError from "../utils/httpError.js";
+import { isTimeZone } from "../utils/timezone.js";
+
+// Mounted at /api/applications/:id/interviews
+const router = express.Router({ mergeParams: true });
+
+const slotValidators = [
+  body("slots")
+    .isArray({ min: 1, max: 10 })
+    .withMessage("Propose between 1 and 10 time slots"),
+  body("slots.*.start").isISO8601().withMessage("Slot start must be a date"),
+  body("slots.*.end").isISO8601().withMessage("Slot end must be a date"),
+];
+
+const reasonValidator = body("reason")
+  .optional()
+  .trim()
+  .isLength({ max: 500 })
+  .withMessage("Reason cannot exceed 500 characters");
+
+const interviewIdValidator = param("interviewId")
+  .isMongoId()
+  .withMessage("Invalid interview ID");
+
+/**
+ * Load the application and its job into req.application and req.job, and
+ * the user's side of the interview into req.interviewSide.
+ */
+const loadApplication = async (req, res, next) => {
+  try {
+    const application = await Application.findById(req.params.id)
+      .select("applicant job status reviewedAt")
+      .populate("job", "title company createdBy companyProfile");
+
+    if (!application) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Application not found" });
+    }
+
+    const side = await getInterviewSide(req.user, application, application.job);
+    if (!side) {
+      return res.status(403).json({
+        success: false,
+        message:
+          "Access denied. You can only view interviews for your own applications or applications to your jobs.",
+      });
+    }
+
+    req.application = application;
+    req.job = application.job;
+    req.interviewSide = side;
+    next();
+  } catch (error) {
+    if (error.name === "CastError") {
+      return res
+        .status(400)
+        .json({ success: false, message: "Invalid application ID format" });
+    }
+    next(error);
+  }
+};
+
+const findInterview = async (req) => {
+  const interview = await Interview.findOne({
+    _id: req.params.interviewId,
+    application: req.application._id,
+  });
+  if (!interview) throw new HttpError(404, "Interview not found");
+  return interview;
+};
+
+// Candidates and managers can change the schedule; viewers cannot
+const requireSchedulingAccess = (req) => {
+  const { side, canManage } = req.interviewSide;
+  if (side === "employer" && !canManage) {
+    throw new HttpError(
+      403,
+      "Access denied. You need permission to manage this job's applicants."
+    );
+  }
+  return side;
+};
+
+const respond = async (res, interview, side, message, extra = {}) => {
+  await interview.populate([
+    { path: "interviewers", select: "name email" },
+    { path: "feedback.interviewer", select: "name" },
+  ]);
+  res.json({
+    success: true,
+    message,
+    data: {
+      interview: side === "candidate" ? toCandidateView(interview) : interview,
+      ...extra,
+    },
+  });
+};
+
+/**
+ * @route   GET /api/applications/:id/interviews
+ * @desc    List the interviews for an application
+ * @access  Private (Applicant, hiring team, or Admin only)
+ */
+router.get("/", authenticate, loadApplication, async (req, res) => {
+  try {
+    const { side } = req.interviewSide;
+    const interviews = await Interview.find({
+      application: req.application._id,
+    })
+      .sort({ createdAt: -1 })
+      .populate("interviewers", "name email")
+      .populate("feedback.interviewer", "name");
+
+    res.json({
+      success: true,
+      data: {
+        interviews:
+          side === "candidate" ? interviews.map(toCandidateView) : interviews,
+      },
+    });
+  } catch (error) {
+    console.error("Get interviews error:", error);
+    res
+      .status(500)
+      .json({ success: false, message: "Server error fetching interviews" });
+  }
+});
+
+/**
+ * @route   POST /api/applications/:id/interviews
+ * @desc    Propose interview time slots to the candidate
+ * @access  Private (Hiring team with applications:manage, or Admin)
+ */
+router.post(
+  "/",
+  authenticate,
+  loadApplication,
+  [
+    ...slotValidators,
+    body("title")
+      .optional()
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage("Title must be 1–100 characters"),
+    body("mode")
+      .optional()
+      .isIn(INTERVIEW_MODES)
+      .withMessage(`Mode must be one of: ${INTERVIEW_MODES.join(", ")}`),
+    body("location")
+      .if(body("mode").equals("onsite"))
+      .trim()
+      .notEmpty()
+      .withMessage("Location is required for on-site interviews"),
+    body("location")
+      .optional()
+      .isLength({ max: 200 })
+      .withMessage("Location cannot exceed 200 characters"),
+    body("meetingLink")
+      .optional({ values: "falsy" })
+      .isURL()
+      .withMessage("Meeting link must be a valid URL"),
+    body("timezone")
+      .optional()
+      .custom(isTimeZone)
+      .withMessage("Timezone must be an IANA zone such as Europe/Berlin"),
+    body("interviewers")
+      .optional()
+      .isArray({ max: 10 })
+      .withMessage("Interviewers must be a list of user IDs"),
+    body("interviewers.*").isMongoId().withMessage("Invalid interviewer ID"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      if (!req.interviewSide.canManage) {
+        return res.status(403).json({
+          success: false,
+          message:
+            "Access denied. You can only arrange interviews for jobs you or your team manage.",
+        });
+      }
+
+      const interview = await createInterview({
+        application: req.application,
+        job: req.job,
+        actor: req.user,
+        data: req.body,
+      });
+
+      res.status(201).json({
+        success: true,
+        message: "Interview proposed to the candidate",
+        data: { interview },
+      });
+    } catch (error) {
+      if (error instanceof HttpError) {
+        return res
+          .status(error.status)
+          .json({ success: false, message: error.message });
+      }
+      console.error("Create interview error:", error);
+      res
+        .status(500)
+        .json({ success: false, message: "Server error creating interview" });
+    }
+  }
+);
+
+/**
+ * @route   GET /api/applications/:id/interviews/:interviewId
+ * @desc    Get a single interview
+ * @access  Private (Applicant, hiring team, or Admin only)
+ */
+router.get(
+  "/:interviewId",
+  authenticate,
+  loadApplication,
+  [interviewIdValidator],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const interview = await findInterview(req);
+      await respond(res, interview, req.interviewSide.side);
+    } catch (error) {
+      if (error instanceof HttpError) {
+        return res
+          .status(error.status)
+          .json({ success: false, message: error.message });
+      }
+      console.error("Get interview error:", error);
+      res
+        .status(500)
+        .json({ success: false, message: "Server error fetching interview" });
+    }
+  }
+);
+
+/**
+ * @route   GET /api/applications/:id/interviews/:interviewId/invite.ics
+ * @desc    Download the calendar invite for a scheduled interview
+ * @access  Private (Applicant, hiring team, or Admin only)
+ */
+router.get(
+  "/:interviewId/invite.ics",
+  authenticate,
+  loadApplication,
+  [interviewIdValidator],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const interview = await findInterview(req);
+      if (!["scheduled", "cancelled"].includes(interview.status)) {
+        throw new HttpError(400, "Interview has not been scheduled");
+      }
+      if (!interview.scheduledStart) {
+        throw new HttpError(400, "Interview was cancelled before scheduling");
+      }
+
+      await interview.populate([
+        { path: "candidate", select: "name email" },
+        { path: "interviewers", select: "name email" },
+        { path: "createdBy", select: "name email" },
+      ]);
+      const method = interview.status === "cancelled" ? "CANCEL" : "REQUEST";
+
+      res
+        .type("text/calendar; charset=utf-8")
+        .attachment(`interview-${interview._id}.ics`)
+        .send(buildInterviewInvite(interview, req.job, { method }));
+    } catch (error) {
+      if (error instanceof HttpError) {
+        return res
+          .status(error.status)
+          .json({ success: false, message: error.message });
+      }
+      console.error("Download interview invite error:", error);
+      res
+        .status(500)
+        .json({ success: false, message: "Server error building invite" });
+    }
+  }
+);
+
+/**
+ * @route   POST /api/applications/:id/interviews/:interviewId/select
+ * @desc    Pick one of the proposed time slots, scheduling the interview
+ * @access  Private (Applicant, or hiring team when the candidate proposed)
+ */
+router.post(
+  "/:interviewId/select",
+  authenticate,
+  loadApplication,
+  [
+    interviewIdValidator,
+    body("slotId").isMongoId().withMessage("Invalid slot ID"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const side = requireSchedulingAccess(req);
+      const interview = await selectInterviewSlot(
+        await findInterview(req),
+        req.job,
+        { application: req.application, side, slotId: req.body.slotId }
+      );
+
+      await respond(res, interview, side, "Interview scheduled");
+    } catch (error) {
+      if (error instanceof HttpError) {
+        return res
+          .status(error.status)
+          .json({ success: false, message: error.message });
+      }
+      console.error("Select interview slot error:", error);
+      res
+        .status(500)
+        .json({ success: false, message: "Server error scheduling interview" });
+    }
+  }
+);
+
+/**
+ * @route   POST /api/applications/:id/interviews/:interviewId/reschedule
+ * @desc    Propose new time slots for the other side to pick from
+ * @access  Private (Applicant, or hiring team with applications:manage)
+ */
+router.post(
+  "/:interviewId/reschedule",
+  authenticate,
+  loadApplication,
+  [interviewIdValidator, ...slotValidators, reasonValidator],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const side = requireSchedulingAccess(req);
+      const interview = await rescheduleInterview(
+        await findInterview(req),
+        req.job,
+        {
+          application: req.application,
+          side,
+          slots: req.body.slots,
+          reason: req.body.reason,
+        }
+      );
+
+      await respond(res, interview, side, "New interview times proposed");
+    } catch (error) {
+      if (error instanceof HttpError) {
+        return res
+          .status(error.status)
+          .json({ success: false, message: error.message });
+      }
+      console.error("Reschedule interview error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Server error rescheduling interview",
+      });
+    }
+  }
+);
+
+/**
+ * @route   POST /api/applications/:id/interviews/:interviewId/cancel
+ * @desc    Cancel an interview that has not taken place
+ * @access  Private (Applicant, or hiring team with applications:manage)
+ */
+router.post(
+  "/:interviewId/cancel",
+  authenticate,
+  loadApplication,
+  [interviewIdValidator, reasonValidator],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const side = requireSchedulingAccess(req);
+      const interview = await cancelInterview(
+        await findInterview(req),
+        req.job,
+        { side, reason: req.body.reason }
+      );
+
+      await respond(res, interview, side, "Interview cancelled");
+    } catch (error) {
+      if (error instanceof HttpError) {
+        return res
+          .status(error.status)
+          .json({ success: false, message: error.message });
+      }
+      console.error("Cancel interview error:", error);
+      res
+        .status(500)
+        .json({ success: false, message: "Server error cancelling interview" });
+    }
+  }
+);
+
+/**
+ * @route   POST /api/applications/:id/interviews/:interviewId/feedback
+ * @desc    Submit interview scores; moves a shortlisted application to
+ *          "interviewed"
+ * @access  Private (Interviewers, or hiring team with applications:manage)
+ */
+router.post(
+  "/:interviewId/feedback",
+  authenticate,
+  loadApplication,
+  [
+    interviewIdValidator,
+    body("overall")
+      .isInt({ min: 1, max: 5 })
+      .withMessage("Overall score must be 1–5"),
+    body("scores")
+      .optional()
+      .isArray({ max: 20 })
+      .withMessage("Scores must be a list of { criterion, score }"),
+    body("scores.*.criterion")
+      .trim()
+      .isLength({ min: 1, max: 50 })
+      .withMessage("Criterion must be 1–50 characters"),
+    body("scores.*.score")
+      .isInt({ min: 1, max: 5 })
+      .withMessage("Scores must be 1–5"),
+    body("recommendation")
+      .optional()
+      .isIn(RECOMMENDATIONS)
+      .withMessage(
+        `Recommendation must be one of: ${RECOMMENDATIONS.join(", ")}`
+      ),
+    body("comments")
+      .optional()
+      .isLength({ max: 2000 })
+      .withMessage("Comments cannot exceed 2000 characters"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      if (req.interviewSide.side === "candidate") {
+        return res.status(403).json({
+          success: false,
+          message: "Access denied. Only the hiring team can submit feedback.",
+        });
+      }
+
+      const { overall, scores, recommendation, comments } = req.body;
+      const { interview, application } = await submitInterviewFeedback(
+        await findInterview(req),
+        req.application,
+        {
+          actor: req.user,
+          canManage: req.interviewSide.canManage,
+          data: { overall, scores, recommendation, comments },
+        }
+      );
+
+      await respond(res, interview, "employer", "Feedback submitted", {
+        applicationStatus: application.status,
+      });
+    } catch (error) {
+      if (error instanceof HttpError) {
+        return res
+          .status(error.status)
+          .json({ success: false, message: error.message });
+      }
+      console.error("Submit interview feedback error:", error);
+      res
+        .status(500)
+        .json({ success: false, message: "Server error submitting feedback" });
+    }
+  }
+);
+
+export default router;
@@ -1,15 +1,113 @@
 import express from "express";
+import mongoose from "mongoose";
 import { body, query, validationResult } from "express-validator";
-import Job from "../models/Job.js";
+import Job, { WORKPLACE_TYPES } from "../models/Job.js";
 import Application from "../models/Application.js";
+import SavedJob from "../models/SavedJob.js";
+import JobView from "../models/JobView.js";
+import Interview from "../models/Interview.js";
+import JobViewRollup from "../models/JobViewRollup.js";
+import Company from "../models/Company.js";
+import { resolveJobCompany } from "../services/companies.js";
+import { JOB_FACETS, getJobFacets } from "../services/jobFacets.js";
+import { recommendJobs } from "../services/matching.js";
+import { normalizeScreeningQuestions } from "../services/screening.js";
+import { canAccessJob, getUserCompanyIds } from "../services/permissions.js";
+import { recordJobView } from "../services/jobViews.js";
+import { cancelOpenInterviews } from "../services/interviews.js";
+import { deleteMessageThreads } from "../services/messages.js";
+import HttpError from "../utils/httpError.js";
+import { buildJobQuery } from "../utils/jobFilters.js";
+import { geocode, parseCoordinates } from "../utils/geocode.js";
+import {
+  SALARY_PERIODS,
+  isSupportedCurrency,
+  normalizeSalary,
+} from "../utils/salary.js";
+import {
+  findPage,
+  buildPagePagination,
+  getPaginationOptions,
+  paginationValidators,
+} from "../utils/pagination.js";
 import {
   authenticate,
+  authorize,
   isEmployerOrAdmin,
   optionalAuth,
+  requireVerifiedEmail,
 } from "../middleware/auth.js";
 
 const router = express.Router();
 
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_RADIUS_KM = 25;
+
+// Company fields returned wherever a job is shown
+const COMPANY_FIELDS = "name slug logo industry size location website";
+
+// Knockout rules stay with the hiring team so candidates cannot game them
+const PUBLIC_JOB_SELECT = "-screeningQuestions.knockout";
+
+/**
+ * Fill in `workplaceType` and `place` on job data being created or
+ * updated. An explicit place wins; otherwise the location text is
+ * geocoded. Remote jobs carry no place.
+ */
+const applyJobPlace = (data, job) => {
+  if (data.type === "remote") data.workplaceType = "remote";
+
+  if ((data.workplaceType || job?.workplaceType) === "remote") {
+    data.place = null;
+  } else if (data.place && typeof data.place === "object") {
+    const { city, region, country, countryCode, coordinates } = data.place;
+    data.place = { city, region, country, countryCode };
+    if (coordinates) {
+      data.place.point = {
+        type: "Point",
+        coordinates: coordinates.map(Number),
+      };
+    }
+  } else if (data.location !== undefined || (job && !job.place)) {
+    data.place = geocode(data.location ?? job.location);
+  } else {
+    delete data.place;
+  }
+};
+
+// `facets=all` or a comma-separated list of JOB_FACETS
+const parseFacets = (value) => {
+  if (!value) return [];
+  if (value === "all" || value === "true") return JOB_FACETS;
+  return [...new Set(value.split(",").map((name) => name.trim()))];
+};
+
+/**
+ * Describe how close a job's application deadline is. Returns null when
+ * there is no deadline or it is further away than the warning window.
+ */
+const getDeadlineWarning = (job) => {
+  if (!job.applicationDeadline) return null;
+
+  const warningDays =
+    parseInt(process.env.SAVED_JOB_DEADLINE_WARNING_DAYS) || 3;
+  const msLeft = new Date(job.applicationDeadline).getTime() - Date.now();
+  if (msLeft < 0) {
+    return { level: "expired", message: "Application deadline has passed" };
+  }
+  if (msLeft > warningDays * DAY_MS) return null;
+
+  const daysLeft = Math.floor(msLeft / DAY_MS);
+  return {
+    level: "approaching",
+    daysLeft,
+    message:
+      daysLeft === 0
+        ? "Applications close today"
+        : `Applications close in ${daysLeft} day${daysLeft === 1 ? "" : "s"}`,
+  };
+};
+
 /**
  * @route   GET /api/jobs
  * @desc    Get all jobs with filters, search, and pagination
@@ -18,14 +116,7 @@ const router = express.Router();
 router.get(
   "/",
   [
-    query("page")
-      .optional()
-      .isInt({ min: 1 })
-      .withMessage("Page must be a positive integer"),
-    query("limit")
-      .optional()
-      .isInt({ min: 1, max: 50 })
-      .withMessage("Limit must be between 1 and 50"),
+    ...paginationValidators,
     query("minSalary")
       .optional()
       .isNumeric()
@@ -34,6 +125,38 @@ router.get(
       .optional()
       .isNumeric()
       .withMessage("Max salary must be a number"),
+    query("salaryCurrency")
+      .optional()
+      .custom(isSupportedCurrency)
+      .withMessage("Unsupported salary currency"),
+    query("salaryPeriod")
+      .optional()
+      .isIn(SALARY_PERIODS)
+      .withMessage("Invalid salary period"),
+    query("near")
+      .optional()
+      .isString()
+      .isLength({ max: 100 })
+      .withMessage("Near must be a city or lat,lng"),
+    query("radius")
+      .optional()
+      .isFloat({ min: 1, max: 500 })
+      .withMessage("Radius must be between 1 and 500 km"),
+    query("remote")
+      .optional()
+      .isBoolean()
+      .withMessage("Remote must be true or false"),
+    query("companyProfile")
+      .optional()
+      .isMongoId()
+      .withMessage("Invalid company ID format"),
+    query("facets")
+      .optional()
+      .isString()
+      .custom((value) =>
+        parseFacets(value).every((name) => JOB_FACETS.includes(name))
+      )
+      .withMessage(`Facets must be "all" or any of: ${JOB_FACETS.join(", ")}`),
   ],
   optionalAuth,
   async (req, res) => {
@@ -49,94 +172,130 @@ router.get(
           });
       }
 
-      const {
-        page = 1,
-        limit = 10,
-        keyword,
-        location,
-        type,
-        category,
-        minSalary,
-        maxSalary,
-        experienceLevel,
-        sortBy = "createdAt",
-        sortOrder = "desc",
-        featured,
-      } = req.query;
-
-      const query = { isActive: true };
-
-      if (keyword) {
-        query.$text = { $search: keyword };
-      }
-
-      if (location) {
-        query.location = new RegExp(location, "i");
-      }
+      const { keyword, near, sortOrder = "desc" } = req.query;
+      // Radius searches rank by distance unless asked otherwise
+      const sortBy =
+        req.query.sortBy || (near && !keyword ? "distance" : "createdAt");
 
-      if (type) {
-        query.type = Array.isArray(type) ? { $in: type } : type;
+      const filters = { ...req.query };
+      // Cast up front: aggregation stages are not cast by Mongoose
+      if (req.query.companyProfile) {
+        filters.companyProfile = new mongoose.Types.ObjectId(
+          req.query.companyProfile
+        );
       }
-
-      if (category) {
-        query.category = Array.isArray(category) ? { $in: category } : category;
+      // `company` may be a company id or its public slug
+      if (req.query.company) {
+        if (mongoose.isValidObjectId(req.query.company)) {
+          filters.companyProfile = new mongoose.Types.ObjectId(
+            req.query.company
+          );
+        } else {
+          const company = await Company.findOne({
+            slug: req.query.company,
+          }).select("_id");
+          // An unknown company matches no jobs
+          filters.companyProfile = company
+            ? company._id
+            : new mongoose.Types.ObjectId();
+        }
       }
 
-      if (experienceLevel) {
-        query.experienceLevel = Array.isArray(experienceLevel)
-          ? { $in: experienceLevel }
-          : experienceLevel;
+      if (near) {
+        if (String(req.query.remote) === "true") {
+          return res.status(400).json({
+            success: false,
+            message: "Remote jobs cannot be searched by distance",
+          });
+        }
+        const point = parseCoordinates(near) || geocode(near)?.point;
+        if (!point) {
+          return res.status(400).json({
+            success: false,
+            message: `Unknown location "${near}". Use a city name or "lat,lng".`,
+          });
+        }
+        filters.near = {
+          coordinates: point.coordinates,
+          radiusKm: parseFloat(req.query.radius) || DEFAULT_RADIUS_KM,
+        };
       }
 
-      if (minSalary || maxSalary) {
-        query["salary.min"] = {};
-        if (minSalary) query["salary.min"].$gte = parseInt(minSalary);
-        if (maxSalary) query["salary.max"] = { $lte: parseInt(maxSalary) };
+      if (sortBy === "distance" && (!near || keyword)) {
+        return res.status(400).json({
+          success: false,
+          message: near
+            ? "Sorting by distance cannot be combined with a keyword search"
+            : "Sorting by distance requires a near location",
+        });
       }
 
-      if (featured === "true") {
-        query.featured = true;
-      }
+      const query = buildJobQuery(filters);
 
+      let geoNear;
       const sortOptions = {};
-      if (keyword) {
-        sortOptions.score = { $meta: "textScore" };
-      }
-      if (sortBy === "salary") {
-        sortOptions["salary.min"] = sortOrder === "desc" ? -1 : 1;
-      } else if (sortBy === "applications") {
-        sortOptions.applicationsCount = sortOrder === "desc" ? -1 : 1;
+      const direction = sortOrder === "desc" ? -1 : 1;
+      if (sortBy === "distance") {
+        geoNear = {
+          near: { type: "Point", coordinates: filters.near.coordinates },
+          key: "place.point",
+        };
+        sortOptions.distance = 1;
       } else {
-        sortOptions[sortBy] = sortOrder === "desc" ? -1 : 1;
+        if (keyword) {
+          sortOptions.score = { $meta: "textScore" };
+        }
+        if (sortBy === "salary") {
+          sortOptions["annualSalary.min"] = direction;
+        } else if (sortBy === "applications") {
+          sortOptions.applicationsCount = direction;
+        } else {
+          sortOptions[sortBy] = direction;
+        }
       }
 
-      const skip = (parseInt(page) - 1) * parseInt(limit);
-
-      const [jobs, total] = await Promise.all([
-        Job.find(query)
-          .populate("createdBy", "name company.name")
-          .sort(sortOptions)
-          .skip(skip)
-          .limit(parseInt(limit))
-          .lean(),
-        Job.countDocuments(query),
+      const [{ items: jobs, pagination }, facets] = await Promise.all([
+        findPage(Job, query, {
+          sort: sortOptions,
+          pagination: getPaginationOptions(req.query),
+          select: PUBLIC_JOB_SELECT,
+          populate: [
+            { path: "createdBy", select: "name" },
+            { path: "companyProfile", select: COMPANY_FIELDS },
+          ],
+          geoNear,
+          totalKey: "totalJobs",
+        }),
+        req.query.facets
+          ? getJobFacets(filters, parseFacets(req.query.facets))
+          : null,
       ]);
 
       let jobsWithStatus = jobs;
       if (req.user) {
-        const userApplications = await Application.find({
-          applicant: req.user._id,
-          job: { $in: jobs.map((j) => j._id) },
-        }).select("job status");
+        const jobIds = jobs.map((j) => j._id);
+        const [userApplications, savedJobs] = await Promise.all([
+          Application.find({
+            applicant: req.user._id,
+            job: { $in: jobIds },
+          }).select("job status"),
+          SavedJob.find({ user: req.user._id, job: { $in: jobIds } }).select(
+            "job"
+          ),
+        ]);
 
         const appMap = userApplications.reduce((acc, app) => {
           acc[app.job.toString()] = app.status;
           return acc;
         }, {});
+        const savedIds = new Set(
+          savedJobs.map((saved) => saved.job.toString())
+        );
 
         jobsWithStatus = jobs.map((job) => ({
           ...job,
           userApplicationStatus: appMap[job._id.toString()] || null,
+          isSaved: savedIds.has(job._id.toString()),
         }));
       }
 
@@ -144,17 +303,16 @@ router.get(
         success: true,
         data: {
           jobs: jobsWithStatus,
-          pagination: {
-            currentPage: parseInt(page),
-            totalPages: Math.ceil(total / parseInt(limit)),
-            totalJobs: total,
-            limit: parseInt(limit),
-            hasNext: parseInt(page) < Math.ceil(total / parseInt(limit)),
-            hasPrev: parseInt(page) > 1,
-          },
+          pagination,
+          ...(facets && { facets }),
         },
       });
     } catch (error) {
+      if (error instanceof HttpError) {
+        return res
+          .status(error.status)
+          .json({ success: false, message: error.message });
+      }
       console.error("Get jobs error:", error);
       res
         .status(500)
@@ -163,6 +321,87 @@ router.get(
   }
 );
 
+/**
+ * @route   GET /api/jobs/recommended
+ * @desc    Get active jobs ranked by how well they match the candidate's
+ *          profile, with a per-factor score breakdown
+ * @access  Private (Job seeker)
+ */
+router.get(
+  "/recommended",
+  authenticate,
+  authorize("jobseeker"),
+  [
+    ...paginationValidators,
+    query("minScore")
+      .optional()
+      .isInt({ min: 0, max: 100 })
+      .withMessage("Min score must be between 0 and 100"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      // Jobs are ranked in memory, so there is nothing to key a cursor on
+      const pagination = getPaginationOptions(req.query);
+      if (pagination.mode === "cursor") {
+        return res.status(400).json({
+          success: false,
+          message: "Recommended jobs only support page pagination",
+        });
+      }
+
+      const { jobs, total } = await recommendJobs(req.user, {
+        page: pagination.page,
+        limit: pagination.limit,
+        minScore: parseInt(req.query.minScore) || 0,
+        select: PUBLIC_JOB_SELECT,
+        populate: [
+          { path: "createdBy", select: "name" },
+          { path: "companyProfile", select: COMPANY_FIELDS },
+        ],
+      });
+
+      const savedIds = new Set(
+        (
+          await SavedJob.find({
+            user: req.user._id,
+            job: { $in: jobs.map((job) => job._id) },
+          }).select("job")
+        ).map((saved) => saved.job.toString())
+      );
+
+      res.json({
+        success: true,
+        data: {
+          jobs: jobs.map((job) => ({
+            ...job,
+            isSaved: savedIds.has(job._id.toString()),
+          })),
+          pagination: buildPagePagination(pagination, {
+            total,
+            hasNext: pagination.page * pagination.limit < total,
+            totalKey: "totalJobs",
+          }),
+        },
+      });
+    } catch (error) {
+      console.error("Get recommended jobs error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Server error fetching recommended jobs",
+      });
+    }
+  }
+);
+
 /**
  * @route   GET /api/jobs/:id
  * @desc    Get single job by ID
@@ -171,30 +410,47 @@ router.get(
 router.get("/:id", optionalAuth, async (req, res) => {
   try {
     const job = await Job.findById(req.params.id)
-      .populate("createdBy", "name email company")
+      .select(PUBLIC_JOB_SELECT)
+      .populate("createdBy", "name email")
+      .populate("companyProfile", COMPANY_FIELDS)
       .lean();
 
-    if (!job || !job.isActive) {
+    // Expired jobs may not have been swept by the lifecycle task yet
+    const isExpired = job?.expiresAt && job.expiresAt <= new Date();
+    if (!job || !job.isActive || isExpired) {
       return res
         .status(404)
         .json({ success: false, message: "Job not found or inactive" });
     }
 
-    await Job.findByIdAndUpdate(req.params.id, { $inc: { viewsCount: 1 } });
+    // Counted in the background; a tracking failure must not fail the page
+    recordJobView(job, req).catch((error) =>
+      console.error("Record job view error:", error)
+    );
 
     let userApplicationStatus = null;
+    let isSaved = false;
     if (req.user) {
-      const application = await Application.findOne({
-        job: req.params.id,
-        applicant: req.user._id,
-      }).select("status");
+      const [application, saved] = await Promise.all([
+        Application.findOne({
+          job: req.params.id,
+          applicant: req.user._id,
+        }).select("status"),
+        SavedJob.exists({ job: req.params.id, user: req.user._id }),
+      ]);
       userApplicationStatus = application ? application.status : null;
+      isSaved = Boolean(saved);
     }
 
     res.json({
       success: true,
       data: {
-        job: { ...job, userApplicationStatus },
+        job: {
+          ...job,
+          userApplicationStatus,
+          isSaved,
+          deadlineWarning: isSaved ? getDeadlineWarning(job) : null,
+        },
       },
     });
   } catch (error) {
@@ -219,15 +475,22 @@ router.post(
   "/",
   authenticate,
   isEmployerOrAdmin,
+  requireVerifiedEmail,
   [
     body("title")
       .trim()
       .isLength({ min: 3, max: 100 })
       .withMessage("Title must be 3–100 characters"),
+    // Ignored when the job is linked to a company profile
     body("company")
+      .optional()
       .trim()
       .isLength({ min: 2, max: 100 })
       .withMessage("Company name must be 2–100 characters"),
+    body("companyProfile")
+      .optional()
+      .isMongoId()
+      .withMessage("Invalid company ID"),
     body("description")
       .trim()
       .isLength({ min: 50, max: 5000 })
@@ -239,6 +502,19 @@ router.post(
     body("type")
       .isIn(["full-time", "part-time", "contract", "internship", "remote"])
       .withMessage("Invalid type"),
+    body("workplaceType")
+      .optional()
+      .isIn(WORKPLACE_TYPES)
+      .withMessage("Invalid workplace type"),
+    body("place").optional().isObject().withMessage("Invalid place"),
+    body("place.coordinates")
+      .optional()
+      .isArray({ min: 2, max: 2 })
+      .withMessage("Coordinates must be [longitude, latitude]"),
+    body("place.coordinates.*")
+      .optional()
+      .isFloat()
+      .withMessage("Coordinates must be numbers"),
     body("category")
       .isIn([
         "technology",
@@ -266,6 +542,22 @@ router.post(
       .optional()
       .isNumeric()
       .withMessage("Max salary must be a number"),
+    body("salary.currency")
+      .optional()
+      .custom(isSupportedCurrency)
+      .withMessage("Unsupported salary currency"),
+    body("salary.period")
+      .optional()
+      .isIn(SALARY_PERIODS)
+      .withMessage("Invalid salary period"),
+    body("applicationDeadline")
+      .optional()
+      .isISO8601()
+      .withMessage("Application deadline must be a valid date"),
+    body("publishAt")
+      .optional()
+      .isISO8601()
+      .withMessage("Publish date must be a valid date"),
   ],
   async (req, res) => {
     try {
@@ -281,6 +573,40 @@ router.post(
       }
 
       const jobData = { ...req.body, createdBy: req.user._id };
+      // Lifecycle dates are computed by the model and background tasks
+      for (const key of [
+        "scheduled",
+        "publishedAt",
+        "expiresAt",
+        "expiredAt",
+        "expiryReminderSentAt",
+        "renewedAt",
+      ]) {
+        delete jobData[key];
+      }
+
+      const company = await resolveJobCompany(
+        req.user,
+        req.body.companyProfile
+      );
+      if (company) {
+        jobData.companyProfile = company._id;
+        jobData.company = company.name;
+        jobData.logo = company.logo || jobData.logo;
+      } else if (!jobData.company) {
+        return res.status(400).json({
+          success: false,
+          message: "Company name is required when you have no company profile",
+        });
+      }
+
+      applyJobPlace(jobData);
+
+      if (jobData.screeningQuestions !== undefined) {
+        jobData.screeningQuestions = normalizeScreeningQuestions(
+          jobData.screeningQuestions
+        );
+      }
 
       if (jobData.tags && Array.isArray(jobData.tags)) {
         jobData.tags = [
@@ -291,10 +617,9 @@ router.post(
       const job = new Job(jobData);
       await job.save();
 
-      const populatedJob = await Job.findById(job._id).populate(
-        "createdBy",
-        "name email company"
-      );
+      const populatedJob = await Job.findById(job._id)
+        .populate("createdBy", "name email")
+        .populate("companyProfile", COMPANY_FIELDS);
 
       res
         .status(201)
@@ -304,6 +629,11 @@ router.post(
           data: { job: populatedJob },
         });
     } catch (error) {
+      if (error instanceof HttpError) {
+        return res
+          .status(error.status)
+          .json({ success: false, message: error.message });
+      }
       console.error("Create job error:", error);
       res
         .status(500)
@@ -315,7 +645,7 @@ router.post(
 /**
  * @route   PUT /api/jobs/:id
  * @desc    Update job
- * @access  Private (Creator/Admin)
+ * @access  Private (Creator, company owner/recruiter, or Admin)
  */
 router.put("/:id", authenticate, async (req, res) => {
   try {
@@ -324,10 +654,7 @@ router.put("/:id", authenticate, async (req, res) => {
       return res.status(404).json({ success: false, message: "Job not found" });
     }
 
-    if (
-      job.createdBy.toString() !== req.user._id.toString() &&
-      req.user.role !== "admin"
-    ) {
+    if (!(await canAccessJob(req.user, job, "job:update"))) {
       return res.status(403).json({ success: false, message: "Access denied" });
     }
 
@@ -337,6 +664,8 @@ router.put("/:id", authenticate, async (req, res) => {
       "description",
       "requirements",
       "location",
+      "place",
+      "workplaceType",
       "type",
       "category",
       "salary",
@@ -344,7 +673,9 @@ router.put("/:id", authenticate, async (req, res) => {
       "logo",
       "experienceLevel",
       "benefits",
+      "screeningQuestions",
       "applicationDeadline",
+      "publishAt",
       "isActive",
       "featured",
     ];
@@ -354,6 +685,83 @@ router.put("/:id", authenticate, async (req, res) => {
       if (allowedUpdates.includes(key)) updates[key] = req.body[key];
     }
 
+    // Name and logo of linked jobs are managed on the company profile
+    if (job.companyProfile) {
+      delete updates.company;
+      delete updates.logo;
+    }
+
+    const isActivating = () =>
+      updates.isActive === true || updates.isActive === "true";
+
+    if (isActivating() && job.isExpired()) {
+      return res.status(400).json({
+        success: false,
+        message: "This job has expired. Renew it to make it active again.",
+      });
+    }
+
+    // A publish date can only be moved before the job goes live. A future
+    // date schedules it; an empty or past one leaves it an unpublished draft.
+    if (updates.publishAt !== undefined) {
+      if (job.publishedAt) {
+        delete updates.publishAt;
+      } else {
+        updates.scheduled = Boolean(
+          updates.publishAt && new Date(updates.publishAt) > new Date()
+        );
+        if (updates.scheduled) updates.isActive = false;
+      }
+    }
+
+    // Activating a job that has not gone live yet publishes it now, so the
+    // scheduler does not publish it again later
+    if (isActivating() && !job.publishedAt) {
+      updates.publishedAt = new Date();
+      updates.scheduled = false;
+    }
+
+    if (
+      updates.applicationDeadline !== undefined ||
+      updates.publishAt !== undefined ||
+      updates.publishedAt
+    ) {
+      updates.expiresAt = Job.computeExpiry({
+        applicationDeadline:
+          updates.applicationDeadline !== undefined
+            ? updates.applicationDeadline
+            : job.applicationDeadline,
+        liveFrom:
+          job.renewedAt ||
+          job.publishedAt ||
+          updates.publishedAt ||
+          updates.publishAt ||
+          job.publishAt ||
+          job.createdAt,
+      });
+      updates.expiryReminderSentAt = null;
+    }
+
+    applyJobPlace(updates, job);
+
+    if (updates.screeningQuestions !== undefined) {
+      updates.screeningQuestions = normalizeScreeningQuestions(
+        updates.screeningQuestions
+      );
+    }
+
+    if (updates.salary !== undefined) {
+      if (
+        updates.salary?.currency &&
+        !isSupportedCurrency(updates.salary.currency)
+      ) {
+        return res
+          .status(400)
+          .json({ success: false, message: "Unsupported salary currency" });
+      }
+      updates.annualSalary = normalizeSalary(updates.salary) ?? null;
+    }
+
     if (updates.tags && Array.isArray(updates.tags)) {
       updates.tags = [
         ...new Set(updates.tags.map((tag) => tag.toLowerCase().trim())),
@@ -364,7 +772,9 @@ router.put("/:id", authenticate, async (req, res) => {
       req.params.id,
       { $set: updates },
       { new: true, runValidators: true }
-    ).populate("createdBy", "name email company");
+    )
+      .populate("createdBy", "name email")
+      .populate("companyProfile", COMPANY_FIELDS);
 
     res.json({
       success: true,
@@ -372,6 +782,11 @@ router.put("/:id", authenticate, async (req, res) => {
       data: { job: updatedJob },
     });
   } catch (error) {
+    if (error instanceof HttpError) {
+      return res
+        .status(error.status)
+        .json({ success: false, message: error.message });
+    }
     console.error("Update job error:", error);
     res
       .status(500)
@@ -382,7 +797,7 @@ router.put("/:id", authenticate, async (req, res) => {
 /**
  * @route   DELETE /api/jobs/:id
  * @desc    Delete job
- * @access  Private (Creator/Admin)
+ * @access  Private (Creator, company owner, or Admin)
  */
 router.delete("/:id", authenticate, async (req, res) => {
   try {
@@ -391,16 +806,28 @@ router.delete("/:id", authenticate, async (req, res) => {
       return res.status(404).json({ success: false, message: "Job not found" });
     }
 
-    if (
-      job.createdBy.toString() !== req.user._id.toString() &&
-      req.user.role !== "admin"
-    ) {
+    if (!(await canAccessJob(req.user, job, "job:delete"))) {
       return res.status(403).json({ success: false, message: "Access denied" });
     }
 
+    // Withdraw calendar invites before the interviews disappear
+    await cancelOpenInterviews({ job: job._id }, job, {
+      side: "employer",
+      reason: "The job was deleted.",
+    });
+
+    const applicationIds = await Application.find({
+      job: job._id,
+    }).distinct("_id");
+
     await Promise.all([
       Job.findByIdAndDelete(req.params.id),
+      deleteMessageThreads(applicationIds),
+      Interview.deleteMany({ job: req.params.id }),
       Application.deleteMany({ job: req.params.id }),
+      SavedJob.deleteMany({ job: req.params.id }),
+      JobView.deleteMany({ job: req.params.id }),
+      JobViewRollup.deleteMany({ job: req.params.id }),
     ]);
 
     res.json({ success: true, message: "Job deleted successfully" });
@@ -412,48 +839,294 @@ router.delete("/:id", authenticate, async (req, res) => {
   }
 });
 
+/**
+ * @route   POST /api/jobs/:id/renew
+ * @desc    Extend an expiring or expired job for another listing period
+ * @access  Private (Creator, company owner/recruiter, or Admin)
+ */
+router.post(
+  "/:id/renew",
+  authenticate,
+  [
+    body("applicationDeadline")
+      .optional()
+      .isISO8601()
+      .withMessage("Application deadline must be a valid date")
+      .custom((value) => new Date(value) > new Date())
+      .withMessage("Application deadline must be in the future"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const job = await Job.findById(req.params.id);
+      if (!job) {
+        return res
+          .status(404)
+          .json({ success: false, message: "Job not found" });
+      }
+
+      if (!(await canAccessJob(req.user, job, "job:update"))) {
+        return res
+          .status(403)
+          .json({ success: false, message: "Access denied" });
+      }
+
+      if (!job.publishedAt) {
+        return res.status(400).json({
+          success: false,
+          message: "Scheduled jobs cannot be renewed before they are published",
+        });
+      }
+
+      const now = new Date();
+      let deadline = req.body.applicationDeadline
+        ? new Date(req.body.applicationDeadline)
+        : job.applicationDeadline;
+      // A deadline that has passed would block applications right away
+      if (deadline && deadline <= now) deadline = undefined;
+
+      job.applicationDeadline = deadline;
+      job.expiresAt = Job.computeExpiry({
+        applicationDeadline: deadline,
+        liveFrom: now,
+      });
+      job.isActive = true;
+      job.renewedAt = now;
+      job.expiredAt = undefined;
+      job.expiryReminderSentAt = undefined;
+      await job.save();
+
+      res.json({
+        success: true,
+        message: "Job renewed successfully",
+        data: { job },
+      });
+    } catch (error) {
+      console.error("Renew job error:", error);
+      if (error.name === "CastError") {
+        return res
+          .status(400)
+          .json({ success: false, message: "Invalid job ID format" });
+      }
+      res
+        .status(500)
+        .json({ success: false, message: "Server error renewing job" });
+    }
+  }
+);
+
 /**
  * @route   GET /api/jobs/my/posted
- * @desc    Get current user's posted jobs
+ * @desc    Get jobs posted by the current user or their company teams
  * @access  Private (Employer/Admin)
  */
-router.get("/my/posted", authenticate, isEmployerOrAdmin, async (req, res) => {
-  try {
-    const { page = 1, limit = 10, status = "all" } = req.query;
+router.get(
+  "/my/posted",
+  authenticate,
+  isEmployerOrAdmin,
+  paginationValidators,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
 
-    const query = { createdBy: req.user._id };
-    if (status === "active") query.isActive = true;
-    else if (status === "inactive") query.isActive = false;
+      const { status = "all" } = req.query;
 
-    const skip = (parseInt(page) - 1) * parseInt(limit);
+      // Personal jobs, plus every job of the companies the user is
+      // currently a member of
+      const companyIds = await getUserCompanyIds(req.user);
+      const query = {
+        $or: [
+          { createdBy: req.user._id, companyProfile: null },
+          { companyProfile: { $in: companyIds } },
+        ],
+      };
+      if (status === "active") query.isActive = true;
+      else if (status === "inactive") query.isActive = false;
 
-    const [jobs, total] = await Promise.all([
-      Job.find(query)
-        .sort({ createdAt: -1 })
-        .skip(skip)
-        .limit(parseInt(limit))
-        .lean(),
-      Job.countDocuments(query),
-    ]);
+      const { items: jobs, pagination } = await findPage(Job, query, {
+        sort: { createdAt: -1 },
+        pagination: getPaginationOptions(req.query),
+        totalKey: "totalJobs",
+      });
 
-    res.json({
-      success: true,
-      data: {
-        jobs,
-        pagination: {
-          currentPage: parseInt(page),
-          totalPages: Math.ceil(total / parseInt(limit)),
-          totalJobs: total,
-          limit: parseInt(limit),
+      res.json({
+        success: true,
+        data: { jobs, pagination },
+      });
+    } catch (error) {
+      if (error instanceof HttpError) {
+        return res
+          .status(error.status)
+          .json({ success: false, message: error.message });
+      }
+      console.error("Get posted jobs error:", error);
+      res
+        .status(500)
+        .json({ success: false, message: "Server error fetching posted jobs" });
+    }
+  }
+);
+
+/**
+ * @route   GET /api/jobs/my/saved
+ * @desc    Get current user's saved jobs, flagging approaching deadlines
+ * @access  Private (Job seeker)
+ */
+router.get(
+  "/my/saved",
+  authenticate,
+  authorize("jobseeker"),
+  paginationValidators,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const { items: savedJobs, pagination } = await findPage(
+        SavedJob,
+        { user: req.user._id },
+        {
+          sort: { createdAt: -1 },
+          pagination: getPaginationOptions(req.query),
+          populate: [
+            {
+              path: "job",
+              select:
+                "title company location type salary logo isActive applicationDeadline",
+            },
+          ],
+          totalKey: "totalSaved",
+        }
+      );
+
+      // Jobs deleted since they were saved come back unpopulated
+      const items = savedJobs
+        .filter((saved) => saved.job)
+        .map((saved) => ({
+          job: saved.job,
+          savedAt: saved.createdAt,
+          deadlineWarning: getDeadlineWarning(saved.job),
+        }));
+
+      res.json({
+        success: true,
+        data: {
+          savedJobs: items,
+          deadlineWarnings: items.filter(
+            (item) => item.deadlineWarning?.level === "approaching"
+          ).length,
+          pagination,
         },
-      },
-    });
-  } catch (error) {
-    console.error("Get posted jobs error:", error);
-    res
-      .status(500)
-      .json({ success: false, message: "Server error fetching posted jobs" });
+      });
+    } catch (error) {
+      if (error instanceof HttpError) {
+        return res
+          .status(error.status)
+          .json({ success: false, message: error.message });
+      }
+      console.error("Get saved jobs error:", error);
+      res
+        .status(500)
+        .json({ success: false, message: "Server error fetching saved jobs" });
+    }
   }
-});
+);
+
+/**
+ * @route   POST /api/jobs/:id/save
+ * @desc    Save (bookmark) a job
+ * @access  Private (Job seeker)
+ */
+router.post(
+  "/:id/save",
+  authenticate,
+  authorize("jobseeker"),
+  async (req, res) => {
+    try {
+      const job = await Job.findById(req.params.id).select("isActive");
+      if (!job || !job.isActive) {
+        return res
+          .status(404)
+          .json({ success: false, message: "Job not found or inactive" });
+      }
+
+      // Upsert so saving twice is harmless
+      await SavedJob.updateOne(
+        { user: req.user._id, job: job._id },
+        { $setOnInsert: { user: req.user._id, job: job._id } },
+        { upsert: true }
+      );
+
+      res.status(201).json({
+        success: true,
+        message: "Job saved",
+        data: { jobId: job._id, isSaved: true },
+      });
+    } catch (error) {
+      console.error("Save job error:", error);
+      if (error.name === "CastError") {
+        return res
+          .status(400)
+          .json({ success: false, message: "Invalid job ID format" });
+      }
+      res
+        .status(500)
+        .json({ success: false, message: "Server error saving job" });
+    }
+  }
+);
+
+/**
+ * @route   DELETE /api/jobs/:id/save
+ * @desc    Remove a job from saved jobs
+ * @access  Private (Job seeker)
+ */
+router.delete(
+  "/:id/save",
+  authenticate,
+  authorize("jobseeker"),
+  async (req, res) => {
+    try {
+      await SavedJob.deleteOne({ user: req.user._id, job: req.params.id });
+
+      res.json({
+        success: true,
+        message: "Job removed from saved jobs",
+        data: { jobId: req.params.id, isSaved: false },
+      });
+    } catch (error) {
+      console.error("Unsave job error:", error);
+      if (error.name === "CastError") {
+        return res
+          .status(400)
+          .json({ success: false, message: "Invalid job ID format" });
+      }
+      res
+        .status(500)
+        .json({ success: false, message: "Server error removing saved job" });
+    }
+  }
+);
 
 export default router;
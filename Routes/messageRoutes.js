@@ -0,0 +1,299 @@
+import express from "express";
+import { body, param, validationResult } from "express-validator";
+import Application from "../models/Application.js";
+import Message from "../models/Message.js";
+import File from "../models/File.js";
+import { authenticate } from "../middleware/auth.js";
+import { uploadAttachment, ATTACHMENT_TYPES } from "../middleware/upload.js";
+import { getStorageDriver, sendStoredFile } from "../services/storage.js";
+import {
+  getThreadSide,
+  sendMessage,
+  countUnreadMessages,
+  markThreadRead,
+  MAX_MESSAGE_ATTACHMENTS,
+} from "../services/messages.js";
+import HttpError from "../utils/httpError.js";
+import {
+  findPage,
+  getPaginationOptions,
+  paginationValidators,
+} from "../utils/pagination.js";
+
+// Mounted at /api/applications/:id/messages
+const router = express.Router({ mergeParams: true });
+
+/**
+ * Load the application and its job into req.application and req.job, and
+ * the user's side of the thread into req.threadSide.
+ */
+const loadThread = async (req, res, next) => {
+  try {
+    const application = await Application.findById(req.params.id)
+      .select("applicant job status")
+      .populate("job", "title company createdBy companyProfile");
+
+    if (!application) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Application not found" });
+    }
+
+    const side = await getThreadSide(req.user, application, application.job);
+    if (!side) {
+      return res.status(403).json({
+        success: false,
+        message:
+          "Access denied. Only the applicant and the job's hiring managers can use this thread.",
+      });
+    }
+
+    req.application = application;
+    req.job = application.job;
+    req.threadSide = side;
+    next();
+  } catch (error) {
+    if (error.name === "CastError") {
+      return res
+        .status(400)
+        .json({ success: false, message: "Invalid application ID format" });
+    }
+    next(error);
+  }
+};
+
+/**
+ * @route   GET /api/applications/:id/messages
+ * @desc    Get the message thread, newest first, with read receipts and
+ *          the number of messages the user has not read
+ * @access  Private (Applicant, hiring managers, or Admin only)
+ */
+router.get(
+  "/",
+  authenticate,
+  loadThread,
+  paginationValidators,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const [{ items: messages, pagination }, unreadCount] = await Promise.all([
+        findPage(
+          Message,
+          { application: req.application._id },
+          {
+            sort: { createdAt: -1 },
+            pagination: getPaginationOptions(req.query),
+            populate: [
+              { path: "sender", select: "name" },
+              { path: "attachments", select: "originalName mimeType size" },
+              { path: "readBy.user", select: "name" },
+            ],
+          }
+        ),
+        countUnreadMessages(req.application, req.user, req.threadSide),
+      ]);
+
+      res.json({
+        success: true,
+        data: { messages, unreadCount, pagination },
+      });
+    } catch (error) {
+      if (error instanceof HttpError) {
+        return res
+          .status(error.status)
+          .json({ success: false, message: error.message });
+      }
+      console.error("Get messages error:", error);
+      res
+        .status(500)
+        .json({ success: false, message: "Server error fetching messages" });
+    }
+  }
+);
+
+/**
+ * @route   POST /api/applications/:id/messages
+ * @desc    Send a message; attach files uploaded to
+ *          /api/applications/:id/messages/attachments by ID
+ * @access  Private (Applicant, hiring managers, or Admin only)
+ */
+router.post(
+  "/",
+  authenticate,
+  loadThread,
+  [
+    body("body")
+      .optional()
+      .isString()
+      .isLength({ max: 5000 })
+      .withMessage("Message cannot exceed 5000 characters"),
+    body("attachmentIds")
+      .optional()
+      .isArray({ max: MAX_MESSAGE_ATTACHMENTS })
+      .withMessage(
+        `Attach at most ${MAX_MESSAGE_ATTACHMENTS} files per message`
+      ),
+    body("attachmentIds.*").isMongoId().withMessage("Invalid attachment ID"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const message = await sendMessage({
+        application: req.application,
+        job: req.job,
+        sender: req.user,
+        side: req.threadSide,
+        body: req.body.body,
+        attachmentIds: req.body.attachmentIds,
+      });
+
+      await message.populate([
+        { path: "sender", select: "name" },
+        { path: "attachments", select: "originalName mimeType size" },
+      ]);
+
+      res.status(201).json({
+        success: true,
+        message: "Message sent",
+        data: { message },
+      });
+    } catch (error) {
+      if (error instanceof HttpError) {
+        return res
+          .status(error.status)
+          .json({ success: false, message: error.message });
+      }
+      console.error("Send message error:", error);
+      res
+        .status(500)
+        .json({ success: false, message: "Server error sending message" });
+    }
+  }
+);
+
+/**
+ * @route   PUT /api/applications/:id/messages/read
+ * @desc    Mark every message from the other side as read
+ * @access  Private (Applicant, hiring managers, or Admin only)
+ */
+router.put("/read", authenticate, loadThread, async (req, res) => {
+  try {
+    const updated = await markThreadRead(
+      req.application,
+      req.user,
+      req.threadSide
+    );
+
+    res.json({
+      success: true,
+      message: "Messages marked as read",
+      data: { updated, unreadCount: 0 },
+    });
+  } catch (error) {
+    console.error("Mark messages read error:", error);
+    res
+      .status(500)
+      .json({ success: false, message: "Server error updating messages" });
+  }
+});
+
+/**
+ * @route   POST /api/applications/:id/messages/attachments
+ * @desc    Upload a file (PDF, DOCX, PNG or JPEG) to attach to a message
+ * @access  Private (Applicant, hiring managers, or Admin only)
+ */
+router.post(
+  "/attachments",
+  authenticate,
+  loadThread,
+  uploadAttachment,
+  async (req, res) => {
+    try {
+      const { name, driver } = getStorageDriver();
+      const key = await driver.save(req.file.buffer, {
+        extension: ATTACHMENT_TYPES[req.file.mimetype].extension,
+      });
+
+      const file = await File.create({
+        owner: req.user._id,
+        purpose: "attachment",
+        driver: name,
+        key,
+        originalName: req.file.originalname,
+        mimeType: req.file.mimetype,
+        size: req.file.size,
+      });
+
+      res.status(201).json({
+        success: true,
+        message: "Attachment uploaded successfully",
+        data: { file },
+      });
+    } catch (error) {
+      console.error("Upload attachment error:", error);
+      res
+        .status(500)
+        .json({ success: false, message: "Server error uploading attachment" });
+    }
+  }
+);
+
+/**
+ * @route   GET /api/applications/:id/messages/attachments/:fileId
+ * @desc    Download a file attached to a message in this thread
+ * @access  Private (Applicant, hiring managers, or Admin only)
+ */
+router.get(
+  "/attachments/:fileId",
+  authenticate,
+  loadThread,
+  [param("fileId").isMongoId().withMessage("Invalid file ID")],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const attached = await Message.exists({
+        application: req.application._id,
+        attachments: req.params.fileId,
+      });
+      const file = attached && (await File.findById(req.params.fileId));
+      if (!file) {
+        return res
+          .status(404)
+          .json({ success: false, message: "Attachment not found" });
+      }
+
+      sendStoredFile(res, file);
+    } catch (error) {
+      console.error("Download attachment error:", error);
+      res
+        .status(500)
+        .json({ success: false, message: "Server error fetching attachment" });
+    }
+  }
+);
+
+export default router;
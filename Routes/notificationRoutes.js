@@ -0,0 +1,238 @@
+import express from "express";
+import { body, query, validationResult } from "express-validator";
+import Notification, { NOTIFICATION_TYPES } from "../models/Notification.js";
+import { authenticate } from "../middleware/auth.js";
+import { getEmailPreferences } from "../services/notifications.js";
+import HttpError from "../utils/httpError.js";
+import {
+  findPage,
+  getPaginationOptions,
+  paginationValidators,
+} from "../utils/pagination.js";
+
+const router = express.Router();
+
+const unreadCount = (user) =>
+  Notification.countDocuments({ user: user._id, readAt: null });
+
+/**
+ * @route   GET /api/notifications
+ * @desc    List the current user's notifications, newest first, with the
+ *          number still unread
+ * @access  Private
+ */
+router.get(
+  "/",
+  authenticate,
+  [
+    ...paginationValidators,
+    query("unread")
+      .optional()
+      .isBoolean()
+      .withMessage("unread must be true or false"),
+    query("type")
+      .optional()
+      .isIn(NOTIFICATION_TYPES)
+      .withMessage("Invalid notification type"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const filter = { user: req.user._id };
+      if (req.query.unread !== undefined) {
+        filter.readAt = req.query.unread === "true" ? null : { $ne: null };
+      }
+      if (req.query.type) filter.type = req.query.type;
+
+      const [{ items: notifications, pagination }, unread] = await Promise.all([
+        findPage(Notification, filter, {
+          sort: { createdAt: -1 },
+          pagination: getPaginationOptions(req.query),
+        }),
+        unreadCount(req.user),
+      ]);
+
+      res.json({
+        success: true,
+        data: { notifications, unreadCount: unread, pagination },
+      });
+    } catch (error) {
+      if (error instanceof HttpError) {
+        return res
+          .status(error.status)
+          .json({ success: false, message: error.message });
+      }
+      console.error("Get notifications error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Server error fetching notifications",
+      });
+    }
+  }
+);
+
+/**
+ * @route   GET /api/notifications/unread-count
+ * @desc    Number of unread notifications, for badges
+ * @access  Private
+ */
+router.get("/unread-count", authenticate, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: { unreadCount: await unreadCount(req.user) },
+    });
+  } catch (error) {
+    console.error("Get unread count error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error fetching notifications",
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/notifications/read-all
+ * @desc    Mark every unread notification as read
+ * @access  Private
+ */
+router.put("/read-all", authenticate, async (req, res) => {
+  try {
+    const result = await Notification.updateMany(
+      { user: req.user._id, readAt: null },
+      { $set: { readAt: new Date() } }
+    );
+
+    res.json({
+      success: true,
+      message: "All notifications marked as read",
+      data: { updated: result.modifiedCount, unreadCount: 0 },
+    });
+  } catch (error) {
+    console.error("Mark all notifications read error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error updating notifications",
+    });
+  }
+});
+
+/**
+ * @route   GET /api/notifications/preferences
+ * @desc    Which notification types are also sent by email
+ * @access  Private
+ */
+router.get("/preferences", authenticate, (req, res) => {
+  res.json({
+    success: true,
+    data: { email: getEmailPreferences(req.user) },
+  });
+});
+
+/**
+ * @route   PUT /api/notifications/preferences
+ * @desc    Turn email delivery on or off per notification type, e.g.
+ *          { "email": { "application:withdrawn": true } }
+ * @access  Private
+ */
+router.put(
+  "/preferences",
+  authenticate,
+  [
+    body("email")
+      .isObject()
+      .withMessage("email must map notification types to true or false"),
+    body("email")
+      .custom((email) =>
+        Object.entries(email).every(
+          ([type, enabled]) =>
+            NOTIFICATION_TYPES.includes(type) && typeof enabled === "boolean"
+        )
+      )
+      .withMessage(
+        `email keys must be among ${NOTIFICATION_TYPES.join(
+          ", "
+        )} with true or false values`
+      ),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      for (const [type, enabled] of Object.entries(req.body.email)) {
+        req.user.notificationPreferences.email.set(type, enabled);
+      }
+      await req.user.save();
+
+      res.json({
+        success: true,
+        message: "Notification preferences updated",
+        data: { email: getEmailPreferences(req.user) },
+      });
+    } catch (error) {
+      console.error("Update notification preferences error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Server error updating preferences",
+      });
+    }
+  }
+);
+
+/**
+ * @route   PUT /api/notifications/:id/read
+ * @desc    Mark one notification as read
+ * @access  Private (Recipient only)
+ */
+router.put("/:id/read", authenticate, async (req, res) => {
+  try {
+    const notification = await Notification.findOne({
+      _id: req.params.id,
+      user: req.user._id,
+    });
+
+    if (!notification) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Notification not found" });
+    }
+
+    if (!notification.readAt) {
+      notification.readAt = new Date();
+      await notification.save();
+    }
+
+    res.json({
+      success: true,
+      data: { notification, unreadCount: await unreadCount(req.user) },
+    });
+  } catch (error) {
+    console.error("Mark notification read error:", error);
+    if (error.name === "CastError") {
+      return res
+        .status(400)
+        .json({ success: false, message: "Invalid notification ID format" });
+    }
+    res.status(500).json({
+      success: false,
+      message: "Server error updating notification",
+    });
+  }
+});
+
+export default router;
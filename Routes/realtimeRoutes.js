@@ -0,0 +1,93 @@
+import express from "express";
+import { query, validationResult } from "express-validator";
+import Job from "../models/Job.js";
+import { authenticate, tokenFromQuery } from "../middleware/auth.js";
+import { canAccessJob } from "../services/permissions.js";
+import {
+  openStream,
+  countStreams,
+  MAX_STREAMS_PER_USER,
+} from "../services/realtime.js";
+
+const router = express.Router();
+
+const MAX_STREAM_JOBS = 20;
+
+/**
+ * @route   GET /api/realtime/stream
+ * @desc    Server-Sent Events stream of application events. Candidates
+ *          get updates on their own applications. Hiring teams get every
+ *          job they can see, or only the jobs passed as ?jobId= (repeat
+ *          for several). Browsers may pass the token as ?access_token=.
+ * @access  Private
+ */
+router.get(
+  "/stream",
+  tokenFromQuery,
+  authenticate,
+  [
+    query("jobId")
+      .optional()
+      .customSanitizer((value) => [].concat(value))
+      .isArray({ max: MAX_STREAM_JOBS })
+      .withMessage(`Follow at most ${MAX_STREAM_JOBS} jobs per stream`),
+    query("jobId.*").isMongoId().withMessage("Invalid job ID"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      if (countStreams(req.user._id) >= MAX_STREAMS_PER_USER) {
+        return res.status(429).json({
+          success: false,
+          message: `You can have at most ${MAX_STREAMS_PER_USER} open streams`,
+        });
+      }
+
+      let jobIds = null;
+      if (req.query.jobId) {
+        jobIds = [...new Set(req.query.jobId)];
+        const jobs = await Job.find({ _id: { $in: jobIds } }).select(
+          "createdBy companyProfile"
+        );
+        for (const id of jobIds) {
+          const job = jobs.find((j) => j._id.toString() === id);
+          if (!job) {
+            return res
+              .status(404)
+              .json({ success: false, message: `Job ${id} not found` });
+          }
+          if (!(await canAccessJob(req.user, job, "applications:view"))) {
+            return res.status(403).json({
+              success: false,
+              message: `Access denied. You cannot follow applications for job ${id}.`,
+            });
+          }
+        }
+      }
+
+      openStream(req, res, {
+        user: req.user,
+        sessionId: req.sessionId,
+        tokenExpiresAt: req.tokenExpiresAt,
+        jobIds,
+      });
+    } catch (error) {
+      console.error("Open realtime stream error:", error);
+      if (!res.headersSent) {
+        res
+          .status(500)
+          .json({ success: false, message: "Server error opening stream" });
+      }
+    }
+  }
+);
+
+export default router;
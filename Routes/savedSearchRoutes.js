@@ -0,0 +1,234 @@
+import express from "express";
+import { body, validationResult } from "express-validator";
+import SavedSearch, { ALERT_FREQUENCIES } from "../models/SavedSearch.js";
+import { authenticate } from "../middleware/auth.js";
+import { SALARY_PERIODS, isSupportedCurrency } from "../utils/salary.js";
+import { JOB_FILTER_FIELDS } from "../utils/jobFilters.js";
+
+const router = express.Router();
+
+const MAX_SAVED_SEARCHES = 20;
+
+const toList = (value) =>
+  value === undefined ? undefined : [].concat(value).filter(Boolean);
+
+// Filters that take one value or a list
+const LIST_FILTERS = ["type", "category", "experienceLevel"];
+
+// Normalize request filters into the shape stored on SavedSearch
+const pickFilters = (filters = {}) =>
+  Object.fromEntries(
+    JOB_FILTER_FIELDS.map((key) => [
+      key,
+      LIST_FILTERS.includes(key) ? toList(filters[key]) : filters[key],
+    ])
+  );
+
+const searchValidators = [
+  body("name")
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage("Name must be 1–100 characters"),
+  body("frequency")
+    .optional()
+    .isIn(ALERT_FREQUENCIES)
+    .withMessage("Frequency must be daily or weekly"),
+  body("isPaused")
+    .optional()
+    .isBoolean()
+    .withMessage("isPaused must be a boolean"),
+  body("filters")
+    .optional()
+    .isObject()
+    .withMessage("Filters must be an object"),
+  body(["filters.minSalary", "filters.maxSalary"])
+    .optional()
+    .isNumeric()
+    .withMessage("Salary must be a number"),
+  body("filters.salaryCurrency")
+    .optional()
+    .custom(isSupportedCurrency)
+    .withMessage("Unsupported salary currency"),
+  body("filters.salaryPeriod")
+    .optional()
+    .isIn(SALARY_PERIODS)
+    .withMessage("Invalid salary period"),
+  body("filters.featured")
+    .optional()
+    .isBoolean()
+    .withMessage("featured must be a boolean"),
+  body("filters.companyProfile")
+    .optional()
+    .isMongoId()
+    .withMessage("Invalid company ID format"),
+];
+
+/**
+ * @route   POST /api/saved-searches
+ * @desc    Save a named job search and subscribe to its alerts
+ * @access  Private
+ */
+router.post(
+  "/",
+  authenticate,
+  [
+    body("name").trim().notEmpty().withMessage("Name is required"),
+    ...searchValidators,
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const count = await SavedSearch.countDocuments({ user: req.user._id });
+      if (count >= MAX_SAVED_SEARCHES) {
+        return res.status(400).json({
+          success: false,
+          message: `You can save up to ${MAX_SAVED_SEARCHES} searches`,
+        });
+      }
+
+      const { name, frequency, filters } = req.body;
+      const savedSearch = await SavedSearch.create({
+        user: req.user._id,
+        name,
+        frequency,
+        filters: pickFilters(filters),
+      });
+
+      res.status(201).json({
+        success: true,
+        message: "Search saved successfully",
+        data: { savedSearch },
+      });
+    } catch (error) {
+      console.error("Create saved search error:", error);
+      if (error.name === "ValidationError") {
+        return res.status(400).json({ success: false, message: error.message });
+      }
+      res
+        .status(500)
+        .json({ success: false, message: "Server error saving search" });
+    }
+  }
+);
+
+/**
+ * @route   GET /api/saved-searches
+ * @desc    List the current user's saved searches and alert settings
+ * @access  Private
+ */
+router.get("/", authenticate, async (req, res) => {
+  try {
+    const savedSearches = await SavedSearch.find({ user: req.user._id })
+      .sort({ createdAt: -1 })
+      .lean();
+
+    res.json({ success: true, data: { savedSearches } });
+  } catch (error) {
+    console.error("Get saved searches error:", error);
+    res
+      .status(500)
+      .json({ success: false, message: "Server error fetching searches" });
+  }
+});
+
+/**
+ * @route   PUT /api/saved-searches/:id
+ * @desc    Rename, change filters or frequency, or pause/resume alerts
+ * @access  Private (Owner only)
+ */
+router.put("/:id", authenticate, searchValidators, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    const savedSearch = await SavedSearch.findOne({
+      _id: req.params.id,
+      user: req.user._id,
+    });
+    if (!savedSearch) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Saved search not found" });
+    }
+
+    const { name, frequency, isPaused, filters } = req.body;
+    if (name !== undefined) savedSearch.name = name;
+    if (frequency !== undefined) savedSearch.frequency = frequency;
+    if (filters !== undefined) savedSearch.filters = pickFilters(filters);
+    if (isPaused !== undefined) {
+      const paused = isPaused === true || isPaused === "true";
+      // Resuming should not flood the user with everything missed while paused
+      if (savedSearch.isPaused && !paused)
+        savedSearch.lastCheckedAt = new Date();
+      savedSearch.isPaused = paused;
+    }
+    await savedSearch.save();
+
+    res.json({
+      success: true,
+      message: "Saved search updated successfully",
+      data: { savedSearch },
+    });
+  } catch (error) {
+    console.error("Update saved search error:", error);
+    if (error.name === "CastError") {
+      return res
+        .status(400)
+        .json({ success: false, message: "Invalid saved search ID format" });
+    }
+    if (error.name === "ValidationError") {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    res
+      .status(500)
+      .json({ success: false, message: "Server error updating search" });
+  }
+});
+
+/**
+ * @route   DELETE /api/saved-searches/:id
+ * @desc    Delete a saved search and its alerts
+ * @access  Private (Owner only)
+ */
+router.delete("/:id", authenticate, async (req, res) => {
+  try {
+    const result = await SavedSearch.deleteOne({
+      _id: req.params.id,
+      user: req.user._id,
+    });
+    if (result.deletedCount === 0) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Saved search not found" });
+    }
+
+    res.json({ success: true, message: "Saved search deleted successfully" });
+  } catch (error) {
+    console.error("Delete saved search error:", error);
+    if (error.name === "CastError") {
+      return res
+        .status(400)
+        .json({ success: false, message: "Invalid saved search ID format" });
+    }
+    res
+      .status(500)
+      .json({ success: false, message: "Server error deleting search" });
+  }
+});
+
+export default router;
@@ -0,0 +1,155 @@
+import express from "express";
+import { body, validationResult } from "express-validator";
+import { authenticate, authorize } from "../middleware/auth.js";
+import { PROFILE_FIELDS, pickFields } from "../utils/userFields.js";
+
+const router = express.Router();
+
+/**
+ * @route   GET /api/users/me
+ * @desc    Get the current user's account and profile
+ * @access  Private
+ */
+router.get("/me", authenticate, async (req, res) => {
+  res.json({ success: true, data: { user: req.user } });
+});
+
+/**
+ * @route   PUT /api/users/me
+ * @desc    Update account-level fields of the current user
+ * @access  Private
+ */
+router.put(
+  "/me",
+  authenticate,
+  [
+    body("name")
+      .optional()
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage("Name must be 1–100 characters"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      if (req.body.name !== undefined) req.user.name = req.body.name;
+      await req.user.save();
+
+      res.json({
+        success: true,
+        message: "Account updated successfully",
+        data: { user: req.user },
+      });
+    } catch (error) {
+      console.error("Update account error:", error);
+      if (error.name === "ValidationError") {
+        return res.status(400).json({ success: false, message: error.message });
+      }
+      res
+        .status(500)
+        .json({ success: false, message: "Server error updating account" });
+    }
+  }
+);
+
+/**
+ * @route   GET /api/users/me/profile
+ * @desc    Get the current job seeker's candidate profile
+ * @access  Private (Job seeker/Admin)
+ */
+router.get(
+  "/me/profile",
+  authenticate,
+  authorize("jobseeker", "admin"),
+  async (req, res) => {
+    res.json({ success: true, data: { profile: req.user.profile || {} } });
+  }
+);
+
+/**
+ * @route   PUT /api/users/me/profile
+ * @desc    Update the current job seeker's candidate profile
+ * @access  Private (Job seeker/Admin)
+ */
+router.put(
+  "/me/profile",
+  authenticate,
+  authorize("jobseeker", "admin"),
+  [
+    body("dateOfBirth")
+      .optional()
+      .isISO8601()
+      .withMessage("Date of birth must be a valid date"),
+    body("graduationYear")
+      .optional()
+      .isInt({ min: 1950, max: 2100 })
+      .withMessage("Graduation year is out of range"),
+    body("gpa").optional().isFloat({ min: 0 }).withMessage("Invalid GPA"),
+    body("experience")
+      .optional()
+      .isFloat({ min: 0 })
+      .withMessage("Experience must be a non-negative number"),
+    body(["skills", "industries"])
+      .optional()
+      .isArray()
+      .withMessage("Must be an array"),
+    body("jobType")
+      .optional()
+      .isIn(["full-time", "part-time", "contract", "internship", "remote"])
+      .withMessage("Invalid job type"),
+    body("workType")
+      .optional()
+      .isIn(["onsite", "remote", "hybrid"])
+      .withMessage("Invalid work type"),
+    body(["salaryRange.min", "salaryRange.max"])
+      .optional()
+      .isNumeric()
+      .withMessage("Salary must be a number"),
+    body("bio")
+      .optional()
+      .isLength({ max: 1000 })
+      .withMessage("Bio cannot exceed 1000 characters"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const updates = pickFields(req.body, PROFILE_FIELDS);
+      for (const [key, value] of Object.entries(updates)) {
+        req.user.set(`profile.${key}`, value);
+      }
+      await req.user.save();
+
+      res.json({
+        success: true,
+        message: "Profile updated successfully",
+        data: { profile: req.user.profile },
+      });
+    } catch (error) {
+      console.error("Update profile error:", error);
+      if (error.name === "ValidationError") {
+        return res.status(400).json({ success: false, message: error.message });
+      }
+      res
+        .status(500)
+        .json({ success: false, message: "Server error updating profile" });
+    }
+  }
+);
+
+export default router;
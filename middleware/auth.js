@@ -0,0 +1,153 @@
+import jwt from "jsonwebtoken";
+import User from "../models/User.js";
+import Session from "../models/Session.js";
+
+/**
+ * Extract a bearer token from the Authorization header.
+ * Returns null when the header is missing or malformed.
+ */
+const getToken = (req) => {
+  const header = req.headers.authorization;
+  if (!header || !header.startsWith("Bearer ")) return null;
+  return header.slice(7).trim() || null;
+};
+
+/**
+ * Verify a token issued by generateToken and load its user and session.
+ * Throws jsonwebtoken errors for bad or expired tokens; resolves to null
+ * when the user no longer exists or the token's session was revoked.
+ */
+const resolveAuth = async (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+  if (!decoded.sid) return null;
+
+  const session = await Session.findById(decoded.sid).select(
+    "user revokedAt expiresAt"
+  );
+  if (
+    !session ||
+    !session.isActive() ||
+    session.user.toString() !== decoded.userId
+  ) {
+    return null;
+  }
+
+  const user = await User.findById(decoded.userId);
+  return user
+    ? {
+        user,
+        sessionId: session._id,
+        tokenExpiresAt: new Date(decoded.exp * 1000),
+      }
+    : null;
+};
+
+/**
+ * Require a valid JWT and attach the user to req.user.
+ */
+export const authenticate = async (req, res, next) => {
+  const token = getToken(req);
+  if (!token) {
+    return res
+      .status(401)
+      .json({ success: false, message: "Access denied. No token provided." });
+  }
+
+  try {
+    const auth = await resolveAuth(token);
+    if (!auth) {
+      return res
+        .status(401)
+        .json({ success: false, message: "Session is no longer valid." });
+    }
+
+    req.user = auth.user;
+    req.sessionId = auth.sessionId;
+    req.tokenExpiresAt = auth.tokenExpiresAt;
+    next();
+  } catch (error) {
+    if (error.name === "TokenExpiredError") {
+      return res
+        .status(401)
+        .json({ success: false, message: "Token has expired." });
+    }
+    if (error.name === "JsonWebTokenError") {
+      return res
+        .status(401)
+        .json({ success: false, message: "Invalid token." });
+    }
+    console.error("Authentication error:", error);
+    res
+      .status(500)
+      .json({ success: false, message: "Server error during authentication" });
+  }
+};
+
+/**
+ * Accept the token as ?access_token= on routes whose clients cannot send
+ * headers, such as the browser EventSource. URLs end up in logs, so use it
+ * only where needed. Must run before authenticate.
+ */
+export const tokenFromQuery = (req, res, next) => {
+  const token = req.query.access_token;
+  if (!req.headers.authorization && typeof token === "string") {
+    req.headers.authorization = `Bearer ${token}`;
+  }
+  next();
+};
+
+/**
+ * Restrict a route to the given roles. Must run after authenticate.
+ */
+export const authorize =
+  (...roles) =>
+  (req, res, next) => {
+    if (!req.user) {
+      return res
+        .status(401)
+        .json({ success: false, message: "Authentication required." });
+    }
+    if (!roles.includes(req.user.role)) {
+      return res.status(403).json({
+        success: false,
+        message: `Access denied. Requires role: ${roles.join(" or ")}.`,
+      });
+    }
+    next();
+  };
+
+export const isEmployerOrAdmin = authorize("employer", "admin");
+
+export const isAdmin = authorize("admin");
+
+/**
+ * Block accounts that have not confirmed their email address. Admins are
+ * exempt. Must run after authenticate.
+ */
+export const requireVerifiedEmail = (req, res, next) => {
+  if (req.user.emailVerified || req.user.role === "admin") return next();
+  res.status(403).json({
+    success: false,
+    message: "Please verify your email address before continuing.",
+  });
+};
+
+/**
+ * Attach req.user when a valid token is sent, otherwise continue
+ * anonymously. Never rejects the request.
+ */
+export const optionalAuth = async (req, res, next) => {
+  const token = getToken(req);
+  if (!token) return next();
+
+  try {
+    const auth = await resolveAuth(token);
+    if (auth) {
+      req.user = auth.user;
+      req.sessionId = auth.sessionId;
+    }
+  } catch (error) {
+    // Invalid or expired tokens are treated as anonymous access
+  }
+  next();
+};
@@ -0,0 +1,53 @@
+/**
+ * Catch-all for requests that matched no route.
+ */
+export const notFound = (req, res) => {
+  res.status(404).json({
+    success: false,
+    message: `Route not found: ${req.method} ${req.originalUrl}`,
+  });
+};
+
+/**
+ * Convert errors passed to next() or thrown by middleware into JSON.
+ * Express only treats a middleware as an error handler when it declares
+ * all four arguments, so `next` stays even though it is unused.
+ */
+export const errorHandler = (err, req, res, next) => {
+  if (err.type === "entity.parse.failed") {
+    return res
+      .status(400)
+      .json({ success: false, message: "Malformed JSON in request body" });
+  }
+
+  if (err.name === "CastError") {
+    return res
+      .status(400)
+      .json({ success: false, message: `Invalid ${err.path} format` });
+  }
+
+  if (err.name === "ValidationError") {
+    return res.status(400).json({
+      success: false,
+      message: "Validation failed",
+      errors: Object.values(err.errors).map((e) => ({
+        path: e.path,
+        msg: e.message,
+      })),
+    });
+  }
+
+  if (err.code === 11000) {
+    return res
+      .status(409)
+      .json({ success: false, message: "Duplicate resource" });
+  }
+
+  const status = err.status || err.statusCode || 500;
+  if (status >= 500) console.error("Unhandled error:", err);
+
+  res.status(status).json({
+    success: false,
+    message: status >= 500 ? "Server error" : err.message,
+  });
+};
@@ -0,0 +1,36 @@
+import Company from "../models/Company.js";
+import { getCompanyRole } from "../services/permissions.js";
+
+/**
+ * Load the company named by :slug into req.company and require the current
+ * user to hold one of `roles` in it. Admins always pass. The user's role is
+ * exposed as req.companyRole. Must run after authenticate.
+ */
+export const requireCompanyRole =
+  (...roles) =>
+  async (req, res, next) => {
+    try {
+      const company = await Company.findOne({ slug: req.params.slug });
+      if (!company) {
+        return res
+          .status(404)
+          .json({ success: false, message: "Company not found" });
+      }
+
+      const role = getCompanyRole(req.user, company);
+      if (!roles.includes(role) && req.user.role !== "admin") {
+        return res.status(403).json({
+          success: false,
+          message: `Access denied. Requires company role: ${roles.join(
+            " or "
+          )}.`,
+        });
+      }
+
+      req.company = company;
+      req.companyRole = role;
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
@@ -0,0 +1,97 @@
+import multer from "multer";
+
+// Accepted resume formats and the leading bytes every such file starts with
+export const RESUME_TYPES = {
+  "application/pdf": { extension: ".pdf", signature: "%PDF-" },
+  "application/vnd.openxmlformats-officedocument.wordprocessingml.document": {
+    extension: ".docx",
+    signature: "PK\x03\x04", // DOCX is a zip archive
+  },
+};
+
+export const IMAGE_TYPES = {
+  "image/png": { extension: ".png", signature: "\x89PNG" },
+  "image/jpeg": { extension: ".jpg", signature: "\xFF\xD8\xFF" },
+};
+
+// Files that can be attached to application messages
+export const ATTACHMENT_TYPES = { ...RESUME_TYPES, ...IMAGE_TYPES };
+
+/**
+ * Build middleware that parses a single multipart `field` into req.file
+ * (kept in memory) and rejects files that are too large or not one of
+ * `types`. The declared MIME type must match the file's actual signature.
+ */
+const createUpload = ({ field, types, maxMb, label, typeLabel }) => {
+  return (req, res, next) => {
+    const limitMb = maxMb();
+    const upload = multer({
+      storage: multer.memoryStorage(),
+      limits: { fileSize: limitMb * 1024 * 1024, files: 1 },
+      fileFilter: (req, file, cb) => {
+        if (!types[file.mimetype]) {
+          return cb(
+            new multer.MulterError("LIMIT_UNEXPECTED_FILE", `${field}-type`)
+          );
+        }
+        cb(null, true);
+      },
+    }).single(field);
+
+    upload(req, res, (error) => {
+      if (error instanceof multer.MulterError) {
+        let message = error.message;
+        if (error.code === "LIMIT_FILE_SIZE") {
+          message = `${label} cannot exceed ${limitMb} MB`;
+        } else if (error.field === `${field}-type`) {
+          message = `${label} must be ${typeLabel}`;
+        }
+        return res.status(400).json({ success: false, message });
+      }
+      if (error) return next(error);
+
+      if (!req.file) {
+        return res
+          .status(400)
+          .json({ success: false, message: `${label} file is required` });
+      }
+
+      const { signature } = types[req.file.mimetype];
+      const head = req.file.buffer
+        .subarray(0, signature.length)
+        .toString("latin1");
+      if (head !== signature) {
+        return res.status(400).json({
+          success: false,
+          message: "File content does not match its declared type",
+        });
+      }
+
+      next();
+    });
+  };
+};
+
+export const uploadResume = createUpload({
+  field: "resume",
+  types: RESUME_TYPES,
+  maxMb: () => parseInt(process.env.MAX_RESUME_SIZE_MB) || 5,
+  label: "Resume",
+  typeLabel: "a PDF or DOCX file",
+});
+
+export const uploadLogo = createUpload({
+  field: "logo",
+  types: IMAGE_TYPES,
+  maxMb: () => parseInt(process.env.MAX_LOGO_SIZE_MB) || 2,
+  label: "Logo",
+  typeLabel: "a PNG or JPEG image",
+});
+
+export const uploadAttachment = createUpload({
+  field: "file",
+  types: ATTACHMENT_TYPES,
+  maxMb: () => parseInt(process.env.MAX_ATTACHMENT_SIZE_MB) || 10,
+  label: "Attachment",
+  typeLabel: "a PDF, DOCX, PNG or JPEG file",
+});
@@ -0,0 +1,40 @@
+import mongoose from "mongoose";
+
+export const TOKEN_PURPOSES = ["verify-email", "reset-password"];
+
+// Records the id (jti) of every emailed one-time token so that a signed,
+// unexpired token can still be rejected once it has been used.
+const actionTokenSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "User reference is required"],
+    },
+    purpose: {
+      type: String,
+      enum: TOKEN_PURPOSES,
+      required: true,
+    },
+    jti: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    usedAt: Date,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+actionTokenSchema.index({ user: 1, purpose: 1, usedAt: 1 });
+actionTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const ActionToken = mongoose.model("ActionToken", actionTokenSchema);
+
+export default ActionToken;
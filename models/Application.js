@@ -1,4 +1,75 @@
-const mongoose = require("mongoose");
+import mongoose from "mongoose";
+
+export const APPLICATION_STATUSES = [
+  "pending",
+  "reviewed",
+  "shortlisted",
+  "interviewed",
+  "hired",
+  "rejected",
+];
+
+// Allowed moves from each status. A candidate can be rejected at any
+// stage; hired and rejected are final.
+export const STATUS_TRANSITIONS = {
+  pending: ["reviewed", "rejected"],
+  reviewed: ["shortlisted", "rejected"],
+  shortlisted: ["interviewed", "rejected"],
+  interviewed: ["hired", "rejected"],
+  hired: [],
+  rejected: [],
+};
+
+const statusHistorySchema = new mongoose.Schema(
+  {
+    from: {
+      type: String,
+      enum: APPLICATION_STATUSES,
+    },
+    to: {
+      type: String,
+      enum: APPLICATION_STATUSES,
+      required: true,
+    },
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    note: {
+      type: String,
+      maxlength: [1000, "Notes cannot exceed 1000 characters"],
+    },
+    // Internal notes are only shown to the employer side
+    internal: {
+      type: Boolean,
+      default: true,
+    },
+    changedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
+// Answer to one of the job's screening questions
+const answerSchema = new mongoose.Schema(
+  {
+    question: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    // Copied from the job so later edits to the question keep the context
+    prompt: String,
+    type: String,
+    value: mongoose.Schema.Types.Mixed,
+    knockedOut: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  { _id: false }
+);
 
 const applicationSchema = new mongoose.Schema(
   {
@@ -16,22 +87,32 @@ const applicationSchema = new mongoose.Schema(
       type: String,
       maxlength: [2000, "Cover letter cannot exceed 2000 characters"],
     },
+    // Either an uploaded resume or an external link is required
+    resumeFile: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "File",
+    },
     resumeLink: {
       type: String,
-      required: [true, "Resume link is required"],
+      required: [
+        function () {
+          return !this.resumeFile;
+        },
+        "Resume link or file is required",
+      ],
     },
     status: {
       type: String,
-      enum: [
-        "pending",
-        "reviewed",
-        "shortlisted",
-        "interviewed",
-        "hired",
-        "rejected",
-      ],
+      enum: APPLICATION_STATUSES,
       default: "pending",
     },
+    answers: [answerSchema],
+    // Set when an answer failed a knockout rule
+    knockedOut: {
+      type: Boolean,
+      default: false,
+    },
+    statusHistory: [statusHistorySchema],
     notes: {
       type: String, // Internal notes from employer
       maxlength: [1000, "Notes cannot exceed 1000 characters"],
@@ -67,6 +148,23 @@ applicationSchema.pre("save", function (next) {
   next();
 });
 
+// Record the initial status as the first timeline entry
+applicationSchema.pre("save", function (next) {
+  if (this.isNew && this.statusHistory.length === 0) {
+    this.statusHistory.push({
+      to: this.status,
+      changedBy: this.applicant,
+      changedAt: this.createdAt || new Date(),
+      internal: false,
+    });
+  }
+  next();
+});
+
+applicationSchema.methods.canTransitionTo = function (status) {
+  return (STATUS_TRANSITIONS[this.status] || []).includes(status);
+};
+
 const Application = mongoose.model("Application", applicationSchema);
 
-module.exports = Application;
+export default Application;
@@ -0,0 +1,122 @@
+import mongoose from "mongoose";
+import { slugify, companyNameKey } from "../utils/slugify.js";
+
+export const COMPANY_SIZES = [
+  "1-10",
+  "11-50",
+  "51-200",
+  "201-500",
+  "501-1000",
+  "1000+",
+];
+
+export const COMPANY_ROLES = ["owner", "recruiter", "viewer"];
+
+const memberSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    role: {
+      type: String,
+      enum: COMPANY_ROLES,
+      default: "recruiter",
+    },
+    joinedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
+const companySchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Company name is required"],
+      trim: true,
+      maxlength: [100, "Company name cannot exceed 100 characters"],
+    },
+    // Public URL handle, fixed at creation so links keep working
+    slug: {
+      type: String,
+      required: true,
+      unique: true,
+      immutable: true,
+    },
+    // Normalized name used to stop duplicates like "Acme" vs "ACME Inc"
+    nameKey: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    description: {
+      type: String,
+      maxlength: [2000, "Company description cannot exceed 2000 characters"],
+    },
+    website: { type: String, trim: true },
+    industry: { type: String, trim: true },
+    size: {
+      type: String,
+      enum: COMPANY_SIZES,
+    },
+    location: { type: String, trim: true },
+    logoFile: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "File",
+    },
+    // Public logo URL, copied onto the company's jobs
+    logo: {
+      type: String,
+      default: "",
+    },
+    members: [memberSchema],
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+companySchema.index({ "members.user": 1 });
+companySchema.index({ name: "text", description: "text", industry: "text" });
+
+companySchema.pre("validate", function (next) {
+  if (this.isNew && !this.slug) this.slug = slugify(this.name);
+  if (this.isModified("name") || !this.nameKey) {
+    this.nameKey = companyNameKey(this.name);
+  }
+  next();
+});
+
+companySchema.methods.getMember = function (userId) {
+  return this.members.find(
+    (member) => member.user.toString() === userId.toString()
+  );
+};
+
+// Fields shown on the public company page
+companySchema.methods.toPublicJSON = function () {
+  return {
+    id: this._id,
+    name: this.name,
+    slug: this.slug,
+    description: this.description,
+    website: this.website,
+    industry: this.industry,
+    size: this.size,
+    location: this.location,
+    logo: this.logo,
+  };
+};
+
+const Company = mongoose.model("Company", companySchema);
+
+export default Company;
@@ -0,0 +1,53 @@
+import mongoose from "mongoose";
+import { COMPANY_ROLES } from "./Company.js";
+
+// Invitation for a teammate to join a company. The emailed token is only
+// stored hashed.
+const companyInviteSchema = new mongoose.Schema(
+  {
+    company: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Company",
+      required: [true, "Company reference is required"],
+    },
+    email: {
+      type: String,
+      required: [true, "Email is required"],
+      lowercase: true,
+      trim: true,
+    },
+    role: {
+      type: String,
+      enum: COMPANY_ROLES,
+      default: "recruiter",
+    },
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    invitedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    acceptedAt: Date,
+    acceptedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+companyInviteSchema.index({ company: 1, email: 1, acceptedAt: 1 });
+
+const CompanyInvite = mongoose.model("CompanyInvite", companyInviteSchema);
+
+export default CompanyInvite;
@@ -0,0 +1,58 @@
+import mongoose from "mongoose";
+
+// Metadata for an uploaded file. The contents are kept by the storage
+// driver named in `driver` under `key`.
+const fileSchema = new mongoose.Schema(
+  {
+    owner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "Owner reference is required"],
+    },
+    purpose: {
+      type: String,
+      enum: ["resume", "logo", "attachment"],
+      required: true,
+    },
+    driver: {
+      type: String,
+      required: true,
+    },
+    key: {
+      type: String,
+      required: true,
+    },
+    originalName: {
+      type: String,
+      trim: true,
+      maxlength: [255, "File name cannot exceed 255 characters"],
+    },
+    mimeType: {
+      type: String,
+      required: true,
+    },
+    size: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+fileSchema.index({ owner: 1, purpose: 1, createdAt: -1 });
+
+// Storage details are internal
+fileSchema.set("toJSON", {
+  transform: (doc, ret) => {
+    delete ret.driver;
+    delete ret.key;
+    return ret;
+  },
+});
+
+const File = mongoose.model("File", fileSchema);
+
+export default File;
@@ -0,0 +1,160 @@
+import mongoose from "mongoose";
+
+export const INTERVIEW_STATUSES = [
+  "proposed",
+  "scheduled",
+  "completed",
+  "cancelled",
+];
+export const INTERVIEW_MODES = ["video", "phone", "onsite"];
+export const INTERVIEW_PARTIES = ["employer", "candidate"];
+export const RECOMMENDATIONS = ["strong_no", "no", "yes", "strong_yes"];
+
+const slotSchema = new mongoose.Schema({
+  start: {
+    type: Date,
+    required: [true, "Slot start is required"],
+  },
+  end: {
+    type: Date,
+    required: [true, "Slot end is required"],
+  },
+});
+
+const feedbackSchema = new mongoose.Schema(
+  {
+    interviewer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // Scores for individual criteria, e.g. "communication"
+    scores: [
+      {
+        _id: false,
+        criterion: {
+          type: String,
+          trim: true,
+          required: true,
+          maxlength: [50, "Criterion cannot exceed 50 characters"],
+        },
+        score: { type: Number, min: 1, max: 5, required: true },
+      },
+    ],
+    overall: {
+      type: Number,
+      min: 1,
+      max: 5,
+      required: [true, "Overall score is required"],
+    },
+    recommendation: {
+      type: String,
+      enum: RECOMMENDATIONS,
+    },
+    comments: {
+      type: String,
+      maxlength: [2000, "Comments cannot exceed 2000 characters"],
+    },
+    submittedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
+const interviewSchema = new mongoose.Schema(
+  {
+    application: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Application",
+      required: [true, "Application reference is required"],
+    },
+    job: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Job",
+      required: true,
+    },
+    candidate: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    title: {
+      type: String,
+      trim: true,
+      default: "Interview",
+      maxlength: [100, "Title cannot exceed 100 characters"],
+    },
+    status: {
+      type: String,
+      enum: INTERVIEW_STATUSES,
+      default: "proposed",
+    },
+    // Times on offer; the other party picks one to schedule the interview
+    proposedSlots: [slotSchema],
+    proposedBy: {
+      type: String,
+      enum: INTERVIEW_PARTIES,
+      default: "employer",
+    },
+    scheduledStart: Date,
+    scheduledEnd: Date,
+    // IANA zone the times are shown in; they are stored in UTC
+    timezone: {
+      type: String,
+      default: "UTC",
+    },
+    mode: {
+      type: String,
+      enum: INTERVIEW_MODES,
+      default: "video",
+    },
+    location: {
+      type: String,
+      trim: true,
+      maxlength: [200, "Location cannot exceed 200 characters"],
+    },
+    meetingLink: {
+      type: String,
+      trim: true,
+    },
+    interviewers: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+    ],
+    feedback: [feedbackSchema],
+    // Calendar invites carry this as SEQUENCE; bumped on every change
+    sequence: {
+      type: Number,
+      default: 0,
+    },
+    cancelledBy: {
+      type: String,
+      enum: INTERVIEW_PARTIES,
+    },
+    cancelledAt: Date,
+    cancelReason: {
+      type: String,
+      maxlength: [500, "Reason cannot exceed 500 characters"],
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+interviewSchema.index({ application: 1, createdAt: -1 });
+interviewSchema.index({ interviewers: 1, scheduledStart: 1 });
+interviewSchema.index({ candidate: 1, scheduledStart: 1 });
+
+const Interview = mongoose.model("Interview", interviewSchema);
+
+export default Interview;
@@ -1,4 +1,75 @@
-const mongoose = require("mongoose");
+import mongoose from "mongoose";
+import { SALARY_PERIODS, normalizeSalary } from "../utils/salary.js";
+
+export const WORKPLACE_TYPES = ["onsite", "hybrid", "remote"];
+
+export const QUESTION_TYPES = [
+  "text",
+  "single_choice",
+  "multiple_choice",
+  "number",
+  "yes_no",
+];
+
+const PointSchema = new mongoose.Schema(
+  {
+    type: { type: String, enum: ["Point"], default: "Point" },
+    // GeoJSON order: [longitude, latitude]
+    coordinates: {
+      type: [Number],
+      default: undefined,
+      required: true,
+      validate: {
+        validator: (coordinates) =>
+          coordinates.length === 2 &&
+          Math.abs(coordinates[0]) <= 180 &&
+          Math.abs(coordinates[1]) <= 90,
+        message: "Coordinates must be [longitude, latitude]",
+      },
+    },
+  },
+  { _id: false }
+);
+
+// Structured form of `location`, geocoded from it unless given explicitly
+const PlaceSchema = new mongoose.Schema(
+  {
+    city: { type: String, trim: true },
+    region: { type: String, trim: true },
+    country: { type: String, trim: true },
+    countryCode: { type: String, trim: true, uppercase: true },
+    point: PointSchema,
+  },
+  { _id: false }
+);
+
+// Asked of every applicant; validated by services/screening.js
+const ScreeningQuestionSchema = new mongoose.Schema({
+  prompt: {
+    type: String,
+    required: [true, "Question text is required"],
+    trim: true,
+    maxlength: [300, "Question cannot exceed 300 characters"],
+  },
+  type: {
+    type: String,
+    enum: QUESTION_TYPES,
+    required: [true, "Question type is required"],
+  },
+  options: [{ type: String, trim: true }],
+  required: {
+    type: Boolean,
+    default: false,
+  },
+  // Answers outside these rules reject the applicant automatically:
+  // `expected` for yes/no, `accept` for choices, `min`/`max` for numbers
+  knockout: {
+    expected: Boolean,
+    accept: { type: [String], default: undefined },
+    min: Number,
+    max: Number,
+  },
+});
 
 const jobSchema = new mongoose.Schema(
   {
@@ -8,12 +79,17 @@ const jobSchema = new mongoose.Schema(
       trim: true,
       maxlength: [100, "Job title cannot exceed 100 characters"],
     },
+    // Display name; mirrors companyProfile.name when the job is linked
     company: {
       type: String,
       required: [true, "Company name is required"],
       trim: true,
       maxlength: [100, "Company name cannot exceed 100 characters"],
     },
+    companyProfile: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Company",
+    },
     description: {
       type: String,
       required: [true, "Job description is required"],
@@ -23,11 +99,19 @@ const jobSchema = new mongoose.Schema(
       type: String,
       maxlength: [3000, "Requirements cannot exceed 3000 characters"],
     },
+    // Display text, e.g. "Lahore, Pakistan" or "Remote"
     location: {
       type: String,
       required: [true, "Location is required"],
       trim: true,
     },
+    place: PlaceSchema,
+    // Remote jobs have no place and never match radius searches
+    workplaceType: {
+      type: String,
+      enum: WORKPLACE_TYPES,
+      default: "onsite",
+    },
     type: {
       type: String,
       required: [true, "Job type is required"],
@@ -61,14 +145,23 @@ const jobSchema = new mongoose.Schema(
       },
       currency: {
         type: String,
+        uppercase: true,
+        trim: true,
         default: "USD",
       },
       period: {
         type: String,
-        enum: ["hourly", "monthly", "yearly"],
+        enum: SALARY_PERIODS,
         default: "yearly",
       },
     },
+    // `salary` converted to a yearly amount in the base currency; used for
+    // salary filters and sorting
+    annualSalary: {
+      min: Number,
+      max: Number,
+      currency: String,
+    },
     tags: [
       {
         type: String,
@@ -86,6 +179,7 @@ const jobSchema = new mongoose.Schema(
       default: "mid",
     },
     benefits: [String],
+    screeningQuestions: [ScreeningQuestionSchema],
     applicationDeadline: {
       type: Date,
     },
@@ -93,6 +187,20 @@ const jobSchema = new mongoose.Schema(
       type: Boolean,
       default: true,
     },
+    // Scheduled publishing: the job stays inactive until publishAt
+    publishAt: Date,
+    // Waiting for publishAt, as opposed to an unpublished draft the
+    // scheduler must leave alone
+    scheduled: {
+      type: Boolean,
+      default: false,
+    },
+    publishedAt: Date,
+    // Earlier of applicationDeadline and the maximum listing age
+    expiresAt: Date,
+    expiredAt: Date,
+    expiryReminderSentAt: Date,
+    renewedAt: Date,
     featured: {
       type: Boolean,
       default: false,
@@ -123,13 +231,18 @@ jobSchema.index({
   description: "text",
   tags: "text",
 });
+jobSchema.index({ companyProfile: 1, isActive: 1, createdAt: -1 });
 jobSchema.index({ location: 1 });
+jobSchema.index({ "place.point": "2dsphere" });
+jobSchema.index({ workplaceType: 1 });
 jobSchema.index({ type: 1 });
 jobSchema.index({ category: 1 });
-jobSchema.index({ "salary.min": 1, "salary.max": 1 });
+jobSchema.index({ "annualSalary.min": 1, "annualSalary.max": 1 });
 jobSchema.index({ createdAt: -1 });
 jobSchema.index({ isActive: 1 });
 jobSchema.index({ featured: 1 });
+jobSchema.index({ isActive: 1, expiresAt: 1 });
+jobSchema.index({ scheduled: 1, publishAt: 1 });
 
 // Validate salary range
 jobSchema.pre("save", function (next) {
@@ -142,6 +255,54 @@ jobSchema.pre("save", function (next) {
   next();
 });
 
+jobSchema.pre("save", function (next) {
+  if (this.isNew || this.isModified("salary")) {
+    this.annualSalary = normalizeSalary(this.salary);
+  }
+  next();
+});
+
+/**
+ * When a listing should stop accepting applications: its deadline or
+ * JOB_MAX_AGE_DAYS after it goes live, whichever comes first.
+ */
+jobSchema.statics.computeExpiry = function ({
+  applicationDeadline,
+  liveFrom = new Date(),
+}) {
+  const maxAgeDays = parseInt(process.env.JOB_MAX_AGE_DAYS) || 60;
+  const maxAge = new Date(
+    new Date(liveFrom).getTime() + maxAgeDays * 24 * 60 * 60 * 1000
+  );
+  if (applicationDeadline && new Date(applicationDeadline) < maxAge) {
+    return new Date(applicationDeadline);
+  }
+  return maxAge;
+};
+
+// Work out publishing and expiry dates for new jobs
+jobSchema.pre("save", function (next) {
+  if (!this.isNew) return next();
+
+  if (this.publishAt && this.publishAt > new Date()) {
+    this.isActive = false;
+    this.scheduled = true;
+  } else if (this.isActive) {
+    this.publishedAt = new Date();
+  }
+  if (!this.expiresAt) {
+    this.expiresAt = this.constructor.computeExpiry({
+      applicationDeadline: this.applicationDeadline,
+      liveFrom: this.publishAt || new Date(),
+    });
+  }
+  next();
+});
+
+jobSchema.methods.isExpired = function () {
+  return Boolean(this.expiresAt && this.expiresAt <= new Date());
+};
+
 const Job = mongoose.model("Job", jobSchema);
 
-module.exports = Job;
+export default Job;
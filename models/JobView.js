@@ -0,0 +1,52 @@
+import mongoose from "mongoose";
+
+const RETENTION_DAYS = parseInt(process.env.JOB_VIEW_RETENTION_DAYS) || 30;
+
+// One counted view of a job. A visitor is counted at most once per job in
+// each dedup window; the unique index enforces it.
+const jobViewSchema = new mongoose.Schema(
+  {
+    job: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Job",
+      required: [true, "Job reference is required"],
+    },
+    // "user:<id>" for signed-in viewers, otherwise "anon:<hash>" of a
+    // salted IP address and user agent
+    visitor: {
+      type: String,
+      required: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    // Start of the dedup window the view falls in
+    window: {
+      type: Date,
+      required: true,
+    },
+    viewedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    // Set once the view has been added to the rollups and Job.viewsCount
+    rolledUpAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { versionKey: false }
+);
+
+jobViewSchema.index({ job: 1, visitor: 1, window: 1 }, { unique: true });
+jobViewSchema.index({ rolledUpAt: 1, viewedAt: 1 });
+// Raw views are only needed until they are rolled up
+jobViewSchema.index(
+  { viewedAt: 1 },
+  { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 }
+);
+
+const JobView = mongoose.model("JobView", jobViewSchema);
+
+export default JobView;
@@ -0,0 +1,39 @@
+import mongoose from "mongoose";
+
+export const ROLLUP_GRANULARITIES = ["hour", "day"];
+
+// Number of counted views of a job in one UTC hour or day
+const jobViewRollupSchema = new mongoose.Schema(
+  {
+    job: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Job",
+      required: [true, "Job reference is required"],
+    },
+    granularity: {
+      type: String,
+      enum: ROLLUP_GRANULARITIES,
+      required: true,
+    },
+    // Start of the hour or day
+    bucket: {
+      type: Date,
+      required: true,
+    },
+    views: {
+      type: Number,
+      default: 0,
+    },
+  },
+  { versionKey: false }
+);
+
+jobViewRollupSchema.index(
+  { job: 1, granularity: 1, bucket: 1 },
+  { unique: true }
+);
+jobViewRollupSchema.index({ granularity: 1, bucket: 1 });
+
+const JobViewRollup = mongoose.model("JobViewRollup", jobViewRollupSchema);
+
+export default JobViewRollup;
@@ -0,0 +1,53 @@
+import mongoose from "mongoose";
+
+export const MESSAGE_SIDES = ["candidate", "employer"];
+
+// One message in the thread between an applicant and the hiring team
+const messageSchema = new mongoose.Schema(
+  {
+    application: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Application",
+      required: [true, "Application reference is required"],
+    },
+    sender: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "Sender reference is required"],
+    },
+    senderSide: {
+      type: String,
+      enum: MESSAGE_SIDES,
+      required: true,
+    },
+    body: {
+      type: String,
+      trim: true,
+      maxlength: [5000, "Message cannot exceed 5000 characters"],
+    },
+    attachments: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "File",
+      },
+    ],
+    // Read receipts from the other side of the thread
+    readBy: [
+      {
+        _id: false,
+        user: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+        readAt: { type: Date, default: Date.now },
+      },
+    ],
+  },
+  {
+    timestamps: true,
+  }
+);
+
+messageSchema.index({ application: 1, createdAt: -1 });
+messageSchema.index({ attachments: 1 }, { sparse: true });
+
+const Message = mongoose.model("Message", messageSchema);
+
+export default Message;
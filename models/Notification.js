@@ -0,0 +1,71 @@
+import mongoose from "mongoose";
+
+export const NOTIFICATION_TYPES = [
+  "application:submitted",
+  "application:status-changed",
+  "application:withdrawn",
+  "message:received",
+  "interview:proposed",
+  "interview:scheduled",
+  "interview:rescheduled",
+  "interview:cancelled",
+  "job:expiring",
+];
+
+// Whether each type also goes out by email unless the user says otherwise
+export const EMAIL_DEFAULTS = {
+  "application:submitted": true,
+  "application:status-changed": true,
+  "application:withdrawn": false,
+  "message:received": true,
+  "interview:proposed": true,
+  "interview:scheduled": true,
+  "interview:rescheduled": true,
+  "interview:cancelled": true,
+  "job:expiring": true,
+};
+
+const notificationSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "User reference is required"],
+    },
+    type: {
+      type: String,
+      enum: NOTIFICATION_TYPES,
+      required: true,
+    },
+    title: {
+      type: String,
+      required: true,
+      maxlength: [200, "Title cannot exceed 200 characters"],
+    },
+    message: {
+      type: String,
+      maxlength: [2000, "Message cannot exceed 2000 characters"],
+    },
+    // Frontend path to open, e.g. /applications/:id
+    link: String,
+    // Ids the frontend needs to act on the notification
+    data: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    readAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+notificationSchema.index({ user: 1, createdAt: -1 });
+notificationSchema.index({ user: 1, readAt: 1 });
+
+const Notification = mongoose.model("Notification", notificationSchema);
+
+export default Notification;
@@ -0,0 +1,60 @@
+import mongoose from "mongoose";
+import { SALARY_PERIODS } from "../utils/salary.js";
+
+export const ALERT_FREQUENCIES = ["daily", "weekly"];
+
+const savedSearchSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "User reference is required"],
+    },
+    name: {
+      type: String,
+      required: [true, "Search name is required"],
+      trim: true,
+      maxlength: [100, "Search name cannot exceed 100 characters"],
+    },
+    // Same filters GET /api/jobs accepts, see utils/jobFilters.js
+    filters: {
+      keyword: { type: String, trim: true },
+      location: { type: String, trim: true },
+      // Wrapped, otherwise Mongoose reads `type` as the type of `filters`
+      type: { type: [String] },
+      category: [String],
+      experienceLevel: [String],
+      minSalary: { type: Number, min: 0 },
+      maxSalary: { type: Number, min: 0 },
+      salaryCurrency: { type: String, trim: true, uppercase: true },
+      salaryPeriod: { type: String, enum: SALARY_PERIODS },
+      featured: Boolean,
+      companyProfile: { type: mongoose.Schema.Types.ObjectId, ref: "Company" },
+    },
+    frequency: {
+      type: String,
+      enum: ALERT_FREQUENCIES,
+      default: "daily",
+    },
+    isPaused: {
+      type: Boolean,
+      default: false,
+    },
+    // Jobs created after this point are "new" for the next digest
+    lastCheckedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    lastSentAt: Date,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+savedSearchSchema.index({ user: 1, createdAt: -1 });
+savedSearchSchema.index({ isPaused: 1, frequency: 1, lastCheckedAt: 1 });
+
+const SavedSearch = mongoose.model("SavedSearch", savedSearchSchema);
+
+export default SavedSearch;
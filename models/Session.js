@@ -0,0 +1,47 @@
+import mongoose from "mongoose";
+
+// One session per signed-in device. Access tokens carry the session id
+// and are only honoured while the session is neither revoked nor expired.
+const sessionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "User reference is required"],
+    },
+    refreshTokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    // Hash of the refresh token that was rotated out last; presenting it
+    // again means the token leaked, so the whole session is revoked.
+    previousTokenHash: {
+      type: String,
+    },
+    userAgent: String,
+    ip: String,
+    lastUsedAt: Date,
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    revokedAt: Date,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+sessionSchema.index({ user: 1, revokedAt: 1 });
+sessionSchema.index({ previousTokenHash: 1 }, { sparse: true });
+// Let MongoDB purge sessions once their refresh token has expired
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+sessionSchema.methods.isActive = function () {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+const Session = mongoose.model("Session", sessionSchema);
+
+export default Session;
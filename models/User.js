@@ -1,27 +1,100 @@
-const mongoose = require("mongoose");
-const bcrypt = require("bcryptjs");
-
-const UserSchema = new mongoose.Schema({
-  name: {
-    type: String,
-    required: true,
-    trim: true,
-  },
-  email: {
-    type: String,
-    required: true,
-    unique: true,
-  },
-  password: {
-    type: String,
-    required: true,
-    select: false, // Important: By default password hide
+import mongoose from "mongoose";
+import bcrypt from "bcryptjs";
+
+export const ROLES = ["jobseeker", "employer", "admin"];
+
+// Candidate profile, filled in by job seekers
+const ProfileSchema = new mongoose.Schema(
+  {
+    dateOfBirth: Date,
+    location: { type: String, trim: true },
+    education: { type: String, trim: true },
+    degree: { type: String, trim: true },
+    fieldOfStudy: { type: String, trim: true },
+    university: { type: String, trim: true },
+    graduationYear: {
+      type: Number,
+      min: [1950, "Graduation year is out of range"],
+      max: [2100, "Graduation year is out of range"],
+    },
+    gpa: {
+      type: Number,
+      min: [0, "GPA cannot be negative"],
+    },
+    experience: {
+      type: Number, // Years of professional experience
+      min: [0, "Experience cannot be negative"],
+    },
+    currentJobTitle: { type: String, trim: true },
+    currentCompany: { type: String, trim: true },
+    skills: [{ type: String, trim: true, lowercase: true }],
+    jobType: {
+      type: String,
+      enum: ["full-time", "part-time", "contract", "internship", "remote"],
+    },
+    workType: {
+      type: String,
+      enum: ["onsite", "remote", "hybrid"],
+    },
+    preferredLocation: { type: String, trim: true },
+    salaryRange: {
+      min: { type: Number, min: [0, "Minimum salary cannot be negative"] },
+      max: { type: Number, min: [0, "Maximum salary cannot be negative"] },
+      currency: { type: String, default: "USD" },
+    },
+    industries: [{ type: String, trim: true }],
+    bio: {
+      type: String,
+      maxlength: [1000, "Bio cannot exceed 1000 characters"],
+    },
   },
-  role: {
-    type: String,
-    default: "user",
+  { _id: false }
+);
+
+const UserSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    email: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    password: {
+      type: String,
+      required: true,
+      select: false, // Important: By default password hide
+    },
+    emailVerified: {
+      type: Boolean,
+      default: false,
+    },
+    emailVerifiedAt: Date,
+    role: {
+      type: String,
+      enum: ROLES,
+      default: "jobseeker",
+    },
+    profile: {
+      type: ProfileSchema,
+      default: () => ({}),
+    },
+    // Per notification type overrides, see EMAIL_DEFAULTS in Notification.js
+    notificationPreferences: {
+      email: {
+        type: Map,
+        of: Boolean,
+        default: () => new Map(),
+      },
+    },
   },
-});
+  {
+    timestamps: true,
+  }
+);
 
 // Hash password before save
 UserSchema.pre("save", async function (next) {
@@ -37,4 +110,6 @@ UserSchema.methods.comparePassword = async function (enteredPassword) {
   return await bcrypt.compare(enteredPassword, this.password);
 };
 
-module.exports = mongoose.model("User", UserSchema);
+const User = mongoose.model("User", UserSchema);
+
+export default User;
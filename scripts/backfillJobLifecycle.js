@@ -0,0 +1,68 @@
+/**
+ * Give jobs created before scheduled publishing and expiry existed their
+ * `publishedAt` and `expiresAt`. Live jobs count as published when they
+ * were created; their expiry follows the usual rule (application deadline
+ * or JOB_MAX_AGE_DAYS after going live, whichever comes first), so old
+ * listings are expired by the next job-lifecycle run. Unpublished jobs with
+ * a future publish date get the `scheduled` marker the scheduler looks
+ * for; the rest are left as drafts. Safe to run again.
+ *
+ *   node scripts/backfillJobLifecycle.js [--dry-run]
+ */
+import "dotenv/config";
+import mongoose from "mongoose";
+import Job from "../models/Job.js";
+
+const dryRun = process.argv.includes("--dry-run");
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGO_URI);
+
+  const now = new Date();
+  const totals = { scheduled: 0, updated: 0, published: 0, alreadyExpired: 0 };
+
+  const pending = {
+    publishedAt: null,
+    publishAt: { $gt: now },
+    scheduled: { $ne: true },
+  };
+  totals.scheduled = await Job.countDocuments(pending);
+  if (!dryRun && totals.scheduled) {
+    await Job.updateMany(pending, { $set: { scheduled: true } });
+  }
+
+  const cursor = Job.find({ expiresAt: null })
+    .select("isActive publishAt publishedAt applicationDeadline createdAt")
+    .lean()
+    .cursor();
+
+  for await (const job of cursor) {
+    const isScheduled = !job.publishedAt && job.publishAt > now;
+    const publishedAt =
+      job.publishedAt || (isScheduled ? null : job.publishAt || job.createdAt);
+    const expiresAt = Job.computeExpiry({
+      applicationDeadline: job.applicationDeadline,
+      liveFrom: publishedAt || job.publishAt,
+    });
+
+    totals.updated += 1;
+    if (publishedAt && !job.publishedAt) totals.published += 1;
+    if (job.isActive && expiresAt <= now) totals.alreadyExpired += 1;
+
+    if (!dryRun) {
+      await Job.updateOne(
+        { _id: job._id },
+        { $set: { expiresAt, ...(publishedAt && { publishedAt }) } }
+      );
+    }
+  }
+
+  console.log(`${dryRun ? "[dry run] " : ""}Backfill finished:`, totals);
+};
+
+run()
+  .catch((error) => {
+    console.error("Backfill failed:", error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
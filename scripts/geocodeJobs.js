@@ -0,0 +1,58 @@
+/**
+ * One-off migration: fill in the structured `place` of existing jobs by
+ * geocoding their free-text `location`, and mark jobs of type "remote" as
+ * remote workplaces.
+ *
+ *   node scripts/geocodeJobs.js [--dry-run]
+ *
+ * Locations the bundled city dataset does not know are reported and left
+ * without a place; add them to data/cities.json and re-run.
+ */
+import "dotenv/config";
+import mongoose from "mongoose";
+import Job from "../models/Job.js";
+import { geocode } from "../utils/geocode.js";
+
+const dryRun = process.argv.includes("--dry-run");
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGO_URI);
+
+  const totals = { geocoded: 0, remote: 0, unknown: 0 };
+  const unknown = new Set();
+
+  const cursor = Job.find({ "place.point": { $exists: false } })
+    .select("location type workplaceType")
+    .cursor();
+
+  for await (const job of cursor) {
+    let update;
+    if (job.type === "remote" || job.workplaceType === "remote") {
+      totals.remote += 1;
+      update = { workplaceType: "remote", place: null };
+    } else {
+      const place = geocode(job.location);
+      if (!place) {
+        totals.unknown += 1;
+        unknown.add(job.location);
+        continue;
+      }
+      totals.geocoded += 1;
+      update = { place };
+    }
+
+    if (!dryRun) await Job.updateOne({ _id: job._id }, { $set: update });
+  }
+
+  for (const location of unknown) {
+    console.warn(`Unknown location: "${location}"`);
+  }
+  console.log(`${dryRun ? "[dry run] " : ""}Geocoding finished:`, totals);
+};
+
+run()
+  .catch((error) => {
+    console.error("Geocoding failed:", error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,87 @@
+/**
+ * One-off migration: move applications that the old /apply-job route
+ * embedded in `users.applications` into the Application collection.
+ *
+ *   node scripts/migrateEmbeddedApplications.js [--dry-run]
+ *
+ * Entries whose job cannot be found are left on the user document and
+ * reported, so the script can be re-run after fixing them. Migrated entries
+ * are removed from the user; the `applications` field is dropped once empty.
+ */
+import "dotenv/config";
+import mongoose from "mongoose";
+import User from "../models/User.js";
+import Job from "../models/Job.js";
+import Application from "../models/Application.js";
+
+const dryRun = process.argv.includes("--dry-run");
+
+const migrateEntry = async (userId, entry) => {
+  if (!entry.jobId || !mongoose.isValidObjectId(entry.jobId)) {
+    return "invalid";
+  }
+
+  const job = await Job.findById(entry.jobId).select("_id");
+  if (!job) return "missing-job";
+
+  const exists = await Application.exists({ job: job._id, applicant: userId });
+  if (exists) return "duplicate";
+
+  if (!dryRun) {
+    await Application.create({
+      job: job._id,
+      applicant: userId,
+      resumeLink: entry.resume,
+      coverLetter: entry.coverLetter,
+      createdAt: entry.appliedAt || new Date(),
+    });
+    await Job.findByIdAndUpdate(job._id, { $inc: { applicationsCount: 1 } });
+  }
+  return "migrated";
+};
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGO_URI);
+
+  const totals = { migrated: 0, duplicate: 0, "missing-job": 0, invalid: 0 };
+
+  // The field is no longer part of the User schema, so read it raw
+  const cursor = User.collection.find(
+    { "applications.0": { $exists: true } },
+    { projection: { applications: 1 } }
+  );
+
+  for await (const user of cursor) {
+    const remaining = [];
+
+    for (const entry of user.applications) {
+      const result = await migrateEntry(user._id, entry);
+      totals[result] += 1;
+      // Keep what could not be migrated so nothing is lost
+      if (result === "missing-job" || result === "invalid") {
+        remaining.push(entry);
+        console.warn(
+          `User ${user._id}: skipped application for job ${entry.jobId} (${result})`
+        );
+      }
+    }
+
+    if (!dryRun) {
+      await User.collection.updateOne(
+        { _id: user._id },
+        remaining.length
+          ? { $set: { applications: remaining } }
+          : { $unset: { applications: "" } }
+      );
+    }
+  }
+
+  console.log(`${dryRun ? "[dry run] " : ""}Migration finished:`, totals);
+};
+
+run()
+  .catch((error) => {
+    console.error("Migration failed:", error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
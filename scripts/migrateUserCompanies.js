@@ -0,0 +1,104 @@
+/**
+ * One-off migration: move the company details employers kept on their
+ * account (`users.company`) into Company profiles.
+ *
+ *   node scripts/migrateUserCompanies.js [--dry-run]
+ *
+ * Each employer who is not in a company yet becomes the owner of a new
+ * one, and their personal jobs posted under that company name are linked
+ * to it. Employers already in a company just lose the old field, since the
+ * Company profile is authoritative. Details whose name matches another
+ * owner's company are left on the user document and reported, so the
+ * employer can ask for an invite and the script can be re-run.
+ */
+import "dotenv/config";
+import mongoose from "mongoose";
+import User from "../models/User.js";
+import Job from "../models/Job.js";
+import Company from "../models/Company.js";
+import { createCompany, syncCompanyJobs } from "../services/companies.js";
+import { companyNameKey } from "../utils/slugify.js";
+
+const dryRun = process.argv.includes("--dry-run");
+
+const COMPANY_FIELDS = [
+  "name",
+  "website",
+  "description",
+  "industry",
+  "size",
+  "location",
+  "logo",
+];
+
+const pickCompany = (details) =>
+  Object.fromEntries(
+    COMPANY_FIELDS.filter((key) => details[key]).map((key) => [
+      key,
+      details[key],
+    ])
+  );
+
+const migrateUser = async (user) => {
+  if (await Company.exists({ "members.user": user._id })) return "member";
+
+  const data = pickCompany(user.company);
+  if (!data.name) return "empty";
+  const nameKey = companyNameKey(data.name);
+  if (await Company.exists({ nameKey })) return "conflict";
+  if (dryRun) return "created";
+
+  const company = await createCompany(user._id, data);
+
+  const jobs = await Job.find({ createdBy: user._id, companyProfile: null })
+    .select("company")
+    .lean();
+  const matching = jobs
+    .filter((job) => job.company && companyNameKey(job.company) === nameKey)
+    .map((job) => job._id);
+  if (matching.length) {
+    await Job.updateMany(
+      { _id: { $in: matching } },
+      { $set: { companyProfile: company._id } }
+    );
+    await syncCompanyJobs(company);
+  }
+  return "created";
+};
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGO_URI);
+
+  const totals = { created: 0, member: 0, empty: 0, conflict: 0 };
+
+  // The field is no longer part of the User schema, so read it raw
+  const cursor = User.collection.find(
+    { company: { $exists: true } },
+    { projection: { company: 1 } }
+  );
+
+  for await (const user of cursor) {
+    const result = await migrateUser(user);
+    totals[result] += 1;
+
+    if (result === "conflict") {
+      console.warn(
+        `User ${user._id}: company "${user.company.name}" already exists, left unchanged`
+      );
+    } else if (!dryRun) {
+      await User.collection.updateOne(
+        { _id: user._id },
+        { $unset: { company: "" } }
+      );
+    }
+  }
+
+  console.log(`${dryRun ? "[dry run] " : ""}Migration finished:`, totals);
+};
+
+run()
+  .catch((error) => {
+    console.error("Migration failed:", error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
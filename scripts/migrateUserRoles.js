@@ -0,0 +1,49 @@
+/**
+ * One-off migration: accounts created before roles were introduced have
+ * `role: "user"` (or none at all). Turn them into job seekers so they pass
+ * validation on save and can apply to jobs.
+ *
+ *   node scripts/migrateUserRoles.js [--dry-run]
+ *
+ * Any other role outside ROLES is reported and left alone, to be fixed by
+ * hand.
+ */
+import "dotenv/config";
+import mongoose from "mongoose";
+import User, { ROLES } from "../models/User.js";
+
+const dryRun = process.argv.includes("--dry-run");
+
+const LEGACY_ROLE_FILTER = {
+  $or: [{ role: "user" }, { role: null }, { role: "" }],
+};
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGO_URI);
+
+  const legacy = await User.countDocuments(LEGACY_ROLE_FILTER);
+  if (!dryRun && legacy) {
+    await User.updateMany(LEGACY_ROLE_FILTER, {
+      $set: { role: "jobseeker" },
+    });
+  }
+
+  const unknown = await User.aggregate([
+    { $match: { role: { $nin: [...ROLES, "user", null, ""] } } },
+    { $group: { _id: "$role", count: { $sum: 1 } } },
+  ]);
+  for (const { _id, count } of unknown) {
+    console.warn(`${count} user(s) with unknown role "${_id}" left unchanged`);
+  }
+
+  console.log(`${dryRun ? "[dry run] " : ""}Migration finished:`, {
+    migrated: legacy,
+  });
+};
+
+run()
+  .catch((error) => {
+    console.error("Migration failed:", error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,55 @@
+/**
+ * Recompute every job's `annualSalary` from its `salary`. Run it once to
+ * backfill existing jobs, and again whenever the exchange-rate table or the
+ * SALARY_HOURS_PER_YEAR / SALARY_DAYS_PER_YEAR settings change.
+ *
+ *   node scripts/normalizeSalaries.js [--dry-run]
+ */
+import "dotenv/config";
+import mongoose from "mongoose";
+import Job from "../models/Job.js";
+import { normalizeSalary } from "../utils/salary.js";
+
+const dryRun = process.argv.includes("--dry-run");
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGO_URI);
+
+  const totals = { normalized: 0, skipped: 0 };
+  const unknownCurrencies = new Set();
+
+  const cursor = Job.find().select("salary").lean().cursor();
+
+  for await (const job of cursor) {
+    const annualSalary = normalizeSalary(job.salary);
+    if (annualSalary) {
+      totals.normalized += 1;
+    } else {
+      totals.skipped += 1;
+      if (job.salary?.currency && (job.salary.min || job.salary.max)) {
+        unknownCurrencies.add(job.salary.currency);
+      }
+    }
+
+    if (!dryRun) {
+      await Job.updateOne(
+        { _id: job._id },
+        annualSalary
+          ? { $set: { annualSalary } }
+          : { $unset: { annualSalary: "" } }
+      );
+    }
+  }
+
+  for (const currency of unknownCurrencies) {
+    console.warn(`No exchange rate for currency "${currency}"`);
+  }
+  console.log(`${dryRun ? "[dry run] " : ""}Normalization finished:`, totals);
+};
+
+run()
+  .catch((error) => {
+    console.error("Normalization failed:", error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -1,20 +1,66 @@
-const express = require("express");
-const mongoose = require("mongoose");
-const dotenv = require("dotenv");
-const cors = require("cors");
+import "dotenv/config";
+import express from "express";
+import mongoose from "mongoose";
+import cors from "cors";
 
-dotenv.config();
+import authRoutes from "./Routes/authRoutes.js";
+import legacyAuthRoutes from "./Routes/auth.js";
+import jobRoutes from "./Routes/jobRoutes.js";
+import applicationRoutes from "./Routes/applicationRoutes.js";
+import interviewRoutes from "./Routes/interviewRoutes.js";
+import messageRoutes from "./Routes/messageRoutes.js";
+import userRoutes from "./Routes/userRoutes.js";
+import fileRoutes from "./Routes/fileRoutes.js";
+import savedSearchRoutes from "./Routes/savedSearchRoutes.js";
+import companyRoutes from "./Routes/companyRoutes.js";
+import notificationRoutes from "./Routes/notificationRoutes.js";
+import realtimeRoutes from "./Routes/realtimeRoutes.js";
+import analyticsRoutes from "./Routes/analyticsRoutes.js";
+import { notFound, errorHandler } from "./middleware/errorHandler.js";
+import { registerBackgroundTasks } from "./services/tasks.js";
+import { startScheduler } from "./services/scheduler.js";
+import { registerNotificationHandlers } from "./services/notifications.js";
+import { registerRealtimeHandlers } from "./services/realtime.js";
+import { registerInterviewHandlers } from "./services/interviews.js";
 
 const app = express();
 app.use(express.json());
 app.use(cors());
 
-const authRoutes = require("./routes/auth");
+// authRoutes owns /register and /login; the legacy router only adds
+// /apply-job.
 app.use("/api/auth", authRoutes);
+app.use("/api/auth", legacyAuthRoutes);
+app.use("/api/jobs", jobRoutes);
+app.use("/api/applications/:id/interviews", interviewRoutes);
+app.use("/api/applications/:id/messages", messageRoutes);
+app.use("/api/applications", applicationRoutes);
+app.use("/api/users", userRoutes);
+app.use("/api/files", fileRoutes);
+app.use("/api/saved-searches", savedSearchRoutes);
+app.use("/api/companies", companyRoutes);
+app.use("/api/notifications", notificationRoutes);
+app.use("/api/realtime", realtimeRoutes);
+app.use("/api/analytics", analyticsRoutes);
+
+app.use(notFound);
+app.use(errorHandler);
+
+// Every instance reacts to the events its own requests emit
+registerNotificationHandlers();
+registerRealtimeHandlers();
+registerInterviewHandlers();
 
 mongoose
   .connect(process.env.MONGO_URI)
-  .then(() => console.log("MongoDB connected"))
+  .then(() => {
+    console.log("MongoDB connected");
+    // Run background tasks on one instance only
+    if (process.env.ENABLE_SCHEDULER !== "false") {
+      registerBackgroundTasks();
+      startScheduler();
+    }
+  })
   .catch((err) => console.error("MongoDB connection error:", err));
 
 const PORT = process.env.PORT || 5000;
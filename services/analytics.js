@@ -0,0 +1,260 @@
+import Job from "../models/Job.js";
+import Application, { APPLICATION_STATUSES } from "../models/Application.js";
+import { countDailyViews } from "./jobViews.js";
+import { dateRange } from "../utils/timezone.js";
+
+/**
+ * Hiring reports for one or more jobs. Funnel, status counts and durations
+ * cover the cohort of applications created in the date range; the daily
+ * series count applications, first reviews and hires on the day they
+ * happened. Views are the deduplicated views in the date range, taken from
+ * the hourly view rollups; Job.viewsCount is reported as the lifetime total.
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Pipeline stages after "applied", in order
+const FUNNEL_STAGES = ["reviewed", "shortlisted", "interviewed", "hired"];
+
+const round = (value, digits = 1) =>
+  value === null || value === undefined
+    ? null
+    : Math.round(value * 10 ** digits) / 10 ** digits;
+
+const percent = (part, whole) => (whole ? round((part / whole) * 100) : null);
+
+// When the application was hired, from its status history
+const hiredAtExpr = {
+  $max: {
+    $map: {
+      input: {
+        $filter: {
+          input: { $ifNull: ["$statusHistory", []] },
+          cond: { $eq: ["$$this.to", "hired"] },
+        },
+      },
+      in: "$$this.changedAt",
+    },
+  },
+};
+
+const durationStats = (field, unitMs) => [
+  {
+    $project: {
+      value: { $divide: [{ $subtract: [field, "$createdAt"] }, unitMs] },
+    },
+  },
+  {
+    $group: {
+      _id: null,
+      count: { $sum: 1 },
+      average: { $avg: "$value" },
+      min: { $min: "$value" },
+      max: { $max: "$value" },
+    },
+  },
+];
+
+const dailyCounts = (field, range, timezone) => [
+  { $match: { [field]: { $gte: range.from, $lte: range.to } } },
+  {
+    $group: {
+      _id: {
+        $dateToString: { format: "%Y-%m-%d", date: `$${field}`, timezone },
+      },
+      count: { $sum: 1 },
+    },
+  },
+];
+
+const formatDuration = (stats, unit) => ({
+  unit,
+  count: stats?.count || 0,
+  average: round(stats?.average),
+  min: round(stats?.min),
+  max: round(stats?.max),
+});
+
+const aggregateApplications = async (jobIds, range, timezone) => {
+  const inRange = { $gte: range.from, $lte: range.to };
+  const [result] = await Application.aggregate([
+    { $match: { job: { $in: jobIds } } },
+    { $addFields: { hiredAt: hiredAtExpr } },
+    {
+      $facet: {
+        statusCounts: [
+          { $match: { createdAt: inRange } },
+          { $group: { _id: "$status", count: { $sum: 1 } } },
+        ],
+        // Every stage each application has been in, even if it was
+        // rejected later
+        stages: [
+          { $match: { createdAt: inRange } },
+          {
+            $project: {
+              reached: {
+                $setUnion: [
+                  { $ifNull: ["$statusHistory.to", []] },
+                  ["$status"],
+                  {
+                    $cond: [
+                      { $ifNull: ["$reviewedAt", false] },
+                      ["reviewed"],
+                      [],
+                    ],
+                  },
+                ],
+              },
+            },
+          },
+          { $unwind: "$reached" },
+          { $group: { _id: "$reached", count: { $sum: 1 } } },
+        ],
+        firstReview: [
+          { $match: { createdAt: inRange, reviewedAt: { $ne: null } } },
+          ...durationStats("$reviewedAt", HOUR_MS),
+        ],
+        hire: [
+          { $match: { createdAt: inRange, hiredAt: { $ne: null } } },
+          ...durationStats("$hiredAt", DAY_MS),
+        ],
+        perJob: [
+          { $match: { createdAt: inRange } },
+          {
+            $group: {
+              _id: "$job",
+              applications: { $sum: 1 },
+              hired: {
+                $sum: { $cond: [{ $eq: ["$status", "hired"] }, 1, 0] },
+              },
+            },
+          },
+        ],
+        dailyApplications: dailyCounts("createdAt", range, timezone),
+        dailyReviews: dailyCounts("reviewedAt", range, timezone),
+        dailyHires: dailyCounts("hiredAt", range, timezone),
+      },
+    },
+  ]);
+  return result;
+};
+
+const toCounts = (rows) =>
+  Object.fromEntries(rows.map((row) => [row._id, row.count]));
+
+const buildSeries = (result, views, range, timezone) => {
+  const applications = toCounts(result.dailyApplications);
+  const reviews = toCounts(result.dailyReviews);
+  const hires = toCounts(result.dailyHires);
+  return dateRange(range.from, range.to, timezone).map((date) => ({
+    date,
+    views: views.daily[date] || 0,
+    applications: applications[date] || 0,
+    firstReviews: reviews[date] || 0,
+    hires: hires[date] || 0,
+  }));
+};
+
+const buildFunnel = (views, result) => {
+  const reached = toCounts(result.stages);
+  const applications = result.statusCounts.reduce(
+    (sum, row) => sum + row.count,
+    0
+  );
+
+  const steps = [
+    { stage: "viewed", count: views },
+    { stage: "applied", count: applications },
+    ...FUNNEL_STAGES.map((stage) => ({ stage, count: reached[stage] || 0 })),
+  ];
+  return {
+    steps: steps.map((step, index) => ({
+      ...step,
+      // Share of the previous step that made it to this one
+      conversionRate: index
+        ? percent(step.count, steps[index - 1].count)
+        : null,
+    })),
+    viewToApplyRate: percent(applications, views),
+    applyToHireRate: percent(reached.hired || 0, applications),
+  };
+};
+
+const buildReport = (result, views, range, timezone) => {
+  const totalViews = Object.values(views.daily).reduce(
+    (sum, count) => sum + count,
+    0
+  );
+  const statusCounts = toCounts(result.statusCounts);
+
+  return {
+    range: { from: range.from, to: range.to, timezone },
+    funnel: buildFunnel(totalViews, result),
+    statusCounts: Object.fromEntries(
+      APPLICATION_STATUSES.map((status) => [status, statusCounts[status] || 0])
+    ),
+    timeToFirstReview: formatDuration(result.firstReview[0], "hours"),
+    timeToHire: formatDuration(result.hire[0], "days"),
+    daily: buildSeries(result, views, range, timezone),
+  };
+};
+
+/**
+ * Report for a single job.
+ */
+export const getJobAnalytics = async (job, { range, timezone }) => {
+  const [result, views] = await Promise.all([
+    aggregateApplications([job._id], range, timezone),
+    countDailyViews([job._id], range, timezone),
+  ]);
+  return {
+    ...buildReport(result, views, range, timezone),
+    totalViews: job.viewsCount || 0,
+  };
+};
+
+/**
+ * Report across every job matching `jobFilter`, with a per-job breakdown
+ * ordered by applications received.
+ */
+export const getEmployerAnalytics = async (jobFilter, { range, timezone }) => {
+  const jobs = await Job.find(jobFilter)
+    .select("title company isActive viewsCount createdAt")
+    .lean();
+  const jobIds = jobs.map((job) => job._id);
+  const [result, views] = await Promise.all([
+    aggregateApplications(jobIds, range, timezone),
+    countDailyViews(jobIds, range, timezone),
+  ]);
+
+  const perJob = new Map(result.perJob.map((row) => [row._id.toString(), row]));
+  const breakdown = jobs
+    .map((job) => {
+      const row = perJob.get(job._id.toString());
+      const applications = row?.applications || 0;
+      const jobViews = views.perJob[job._id.toString()] || 0;
+      return {
+        jobId: job._id,
+        title: job.title,
+        company: job.company,
+        isActive: job.isActive,
+        views: jobViews,
+        totalViews: job.viewsCount || 0,
+        applications,
+        hired: row?.hired || 0,
+        viewToApplyRate: percent(applications, jobViews),
+      };
+    })
+    .sort((a, b) => b.applications - a.applications || b.views - a.views);
+
+  return {
+    totals: {
+      jobs: jobs.length,
+      activeJobs: jobs.filter((job) => job.isActive).length,
+      totalViews: jobs.reduce((sum, job) => sum + (job.viewsCount || 0), 0),
+    },
+    ...buildReport(result, views, range, timezone),
+    jobs: breakdown,
+  };
+};
@@ -0,0 +1,227 @@
+import Application, { STATUS_TRANSITIONS } from "../models/Application.js";
+import Job from "../models/Job.js";
+import File from "../models/File.js";
+import HttpError from "../utils/httpError.js";
+import { evaluateAnswers } from "./screening.js";
+import { emitEvent } from "./events.js";
+
+// Resume links are redirect targets (GET /api/applications/:id/resume), so
+// only absolute web URLs are accepted
+export const RESUME_LINK_OPTIONS = {
+  protocols: ["http", "https"],
+  require_protocol: true,
+};
+
+/**
+ * Create an application for a job after checking that the job accepts it.
+ * Shared by POST /api/applications and the legacy /api/auth/apply-job.
+ * Throws HttpError for every rule the request breaks. Applications whose
+ * screening answers fail a knockout rule are rejected straight away.
+ * Emits application:submitted.
+ */
+export const submitApplication = async ({
+  jobId,
+  applicantId,
+  resumeLink,
+  resumeFileId,
+  coverLetter,
+  answers: rawAnswers,
+}) => {
+  if (resumeFileId) {
+    const file = await File.findOne({
+      _id: resumeFileId,
+      owner: applicantId,
+      purpose: "resume",
+    }).select("_id");
+    if (!file) {
+      throw new HttpError(400, "Resume file not found");
+    }
+  }
+
+  const job = await Job.findById(jobId);
+  if (!job) {
+    throw new HttpError(404, "Job not found");
+  }
+
+  if (!job.isActive) {
+    throw new HttpError(400, "This job is no longer accepting applications");
+  }
+
+  if (job.applicationDeadline && new Date() > job.applicationDeadline) {
+    throw new HttpError(400, "Application deadline has passed");
+  }
+
+  if (job.isExpired()) {
+    throw new HttpError(400, "This job listing has expired");
+  }
+
+  if (job.createdBy.toString() === applicantId.toString()) {
+    throw new HttpError(400, "You cannot apply to your own job posting");
+  }
+
+  const existingApplication = await Application.findOne({
+    job: jobId,
+    applicant: applicantId,
+  });
+  if (existingApplication) {
+    throw new HttpError(400, "You have already applied to this job");
+  }
+
+  const { answers, knockedOut } = evaluateAnswers(
+    job.screeningQuestions,
+    rawAnswers
+  );
+
+  const application = new Application({
+    job: jobId,
+    applicant: applicantId,
+    resumeFile: resumeFileId,
+    resumeLink,
+    coverLetter,
+    answers,
+    knockedOut,
+  });
+
+  try {
+    await application.save();
+  } catch (error) {
+    // Lost a race with a concurrent request for the same job
+    if (error.code === 11000) {
+      throw new HttpError(400, "You have already applied to this job");
+    }
+    throw error;
+  }
+  await Job.findByIdAndUpdate(jobId, { $inc: { applicationsCount: 1 } });
+  emitEvent("application:submitted", { application, job });
+
+  if (knockedOut) {
+    const failed = answers.filter((answer) => answer.knockedOut);
+    return changeApplicationStatus(application, {
+      to: "rejected",
+      note: `Automatically rejected by screening: ${failed
+        .map((answer) => `"${answer.prompt}"`)
+        .join(", ")}`,
+    });
+  }
+
+  return application;
+};
+
+/**
+ * Move an application to a new status if the state machine allows it and
+ * append the change to its history. The update is conditional on the
+ * status the caller saw, so two reviewers cannot both move it from the
+ * same state. Throws HttpError for disallowed or conflicting changes.
+ *
+ * Changes without an `actorId` are automatic and do not count as a review.
+ * Emits application:status-changed.
+ */
+export const changeApplicationStatus = async (
+  application,
+  { to, actorId, note, internal = true }
+) => {
+  const from = application.status;
+  if (!application.canTransitionTo(to)) {
+    const allowed = STATUS_TRANSITIONS[from] || [];
+    throw new HttpError(
+      400,
+      allowed.length
+        ? `Cannot change status from "${from}" to "${to}". Allowed: ${allowed.join(
+            ", "
+          )}`
+        : `Application is already ${from} and can no longer change status`
+    );
+  }
+
+  const now = new Date();
+  const set = { status: to };
+  if (note) set.notes = note;
+  if (actorId) {
+    set.reviewedBy = actorId;
+    // reviewedAt marks the first review, not the latest one
+    if (!application.reviewedAt) set.reviewedAt = now;
+  }
+
+  const updated = await Application.findOneAndUpdate(
+    { _id: application._id, status: from },
+    {
+      $set: set,
+      $push: {
+        statusHistory: {
+          from,
+          to,
+          changedBy: actorId,
+          note,
+          internal,
+          changedAt: now,
+        },
+      },
+    },
+    { new: true, runValidators: true }
+  );
+
+  if (!updated) {
+    throw new HttpError(
+      409,
+      "Application status was changed by someone else. Please reload."
+    );
+  }
+
+  emitEvent("application:status-changed", {
+    application: updated,
+    job: updated.job,
+    from,
+    to,
+    actorId,
+    note,
+    internal,
+  });
+  return updated;
+};
+
+/**
+ * Status timeline for an application. Candidates only see notes that were
+ * shared with them and do not see who made each change.
+ */
+export const buildTimeline = (application, { forCandidate }) => {
+  // Applications created before history was recorded have no entries
+  const history = application.statusHistory?.length
+    ? application.statusHistory
+    : [{ to: "pending", changedAt: application.createdAt, internal: false }];
+
+  return history.map((entry) => {
+    const item = {
+      from: entry.from || null,
+      to: entry.to,
+      changedAt: entry.changedAt,
+    };
+    if (!forCandidate) {
+      item.changedBy = entry.changedBy || null;
+      item.note = entry.note || null;
+      item.internal = entry.internal;
+    } else if (!entry.internal && entry.note) {
+      item.note = entry.note;
+    }
+    return item;
+  });
+};
+
+// Left out of applications returned to their candidate: the employer's
+// notes and history, and which screening answers failed a knockout
+export const CANDIDATE_HIDDEN_FIELDS =
+  "-notes -statusHistory -knockedOut -answers.knockedOut";
+
+/**
+ * An application as its candidate may see it, with the candidate timeline
+ * in place of the status history.
+ */
+export const toCandidateApplication = (application) => {
+  const { notes, statusHistory, knockedOut, ...view } = application.toObject();
+  return {
+    ...view,
+    answers: (view.answers || []).map(
+      ({ knockedOut: failed, ...answer }) => answer
+    ),
+    statusHistory: buildTimeline(application, { forCandidate: true }),
+  };
+};
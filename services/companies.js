@@ -0,0 +1,166 @@
+import crypto from "crypto";
+import Company from "../models/Company.js";
+import CompanyInvite from "../models/CompanyInvite.js";
+import Job from "../models/Job.js";
+import HttpError from "../utils/httpError.js";
+import { hashToken } from "../utils/tokens.js";
+import { slugify } from "../utils/slugify.js";
+import { getCompanyRole, rolesWithPermission } from "./permissions.js";
+
+// Slugs that would collide with fixed /api/companies/* routes
+const RESERVED_SLUGS = ["my", "invites"];
+
+const INVITE_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * Create a company owned by `ownerId`. Rejects names that normalize to an
+ * existing company's name and picks a free slug.
+ */
+export const createCompany = async (ownerId, data) => {
+  const base = slugify(data.name) || "company";
+
+  for (let attempt = 0; attempt < 5; attempt += 1) {
+    let slug = attempt === 0 ? base : `${base}-${attempt + 1}`;
+    if (RESERVED_SLUGS.includes(slug)) slug = `${slug}-company`;
+
+    try {
+      return await Company.create({
+        ...data,
+        slug,
+        createdBy: ownerId,
+        members: [{ user: ownerId, role: "owner" }],
+      });
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+      if (error.keyPattern?.nameKey) {
+        throw new HttpError(
+          409,
+          "A company with this name already exists. Ask its owner for an invite."
+        );
+      }
+      // Slug taken by a differently named company; try the next suffix
+    }
+  }
+  throw new HttpError(409, "Could not generate a unique company URL");
+};
+
+/**
+ * Keep the company name and logo copied onto its jobs in sync.
+ */
+export const syncCompanyJobs = (company) =>
+  Job.updateMany(
+    { companyProfile: company._id },
+    { $set: { company: company.name, logo: company.logo } }
+  );
+
+/**
+ * Work out which company a new job belongs to. An explicit id must be a
+ * company where the user's role may edit jobs; otherwise a user with such
+ * a role in exactly one company posts for it. Resolves to null when there
+ * is no such company, making the job personal.
+ */
+export const resolveJobCompany = async (user, companyId) => {
+  const postingRoles = rolesWithPermission("job:update");
+
+  if (companyId) {
+    const company = await Company.findById(companyId);
+    if (!company) throw new HttpError(404, "Company not found");
+    if (
+      user.role !== "admin" &&
+      !postingRoles.includes(getCompanyRole(user, company))
+    ) {
+      throw new HttpError(
+        403,
+        "Only company owners and recruiters can post jobs for this company"
+      );
+    }
+    return company;
+  }
+
+  const companies = await Company.find({
+    members: { $elemMatch: { user: user._id, role: { $in: postingRoles } } },
+  }).limit(2);
+  if (companies.length > 1) {
+    throw new HttpError(
+      400,
+      "You belong to several companies. Specify companyProfile for this job."
+    );
+  }
+  return companies[0] || null;
+};
+
+/**
+ * Create an invitation for `email` to join the company with a team role.
+ * Returns the raw token to be emailed; only its hash is stored.
+ */
+export const createCompanyInvite = async (
+  company,
+  { email, role },
+  invitedBy
+) => {
+  const token = crypto.randomBytes(32).toString("hex");
+  await CompanyInvite.create({
+    company: company._id,
+    email,
+    role,
+    tokenHash: hashToken(token),
+    invitedBy,
+    expiresAt: new Date(Date.now() + INVITE_TTL_MS),
+  });
+  return token;
+};
+
+/**
+ * Add `user` to the company an invite token was issued for. The invite
+ * must be unused, unexpired and addressed to the user's email.
+ */
+export const acceptCompanyInvite = async (token, user) => {
+  const invite = await CompanyInvite.findOne({ tokenHash: hashToken(token) });
+  if (!invite || invite.acceptedAt || invite.expiresAt < new Date()) {
+    throw new HttpError(400, "Invitation is invalid or has expired");
+  }
+  if (invite.email !== user.email.toLowerCase()) {
+    throw new HttpError(403, "This invitation was sent to another email");
+  }
+
+  const company = await Company.findById(invite.company);
+  if (!company) throw new HttpError(404, "Company not found");
+
+  if (!company.getMember(user._id)) {
+    company.members.push({ user: user._id, role: invite.role });
+    await company.save();
+  }
+
+  invite.acceptedAt = new Date();
+  invite.acceptedBy = user._id;
+  await invite.save();
+
+  return company;
+};
+
+/**
+ * Change a member's team role or remove them. A company must always keep
+ * at least one owner.
+ */
+export const updateCompanyMember = async (company, userId, role) => {
+  const member = company.getMember(userId);
+  if (!member) throw new HttpError(404, "Member not found");
+
+  const owners = company.members.filter((m) => m.role === "owner");
+  const demotingLastOwner =
+    member.role === "owner" && role !== "owner" && owners.length === 1;
+  if (demotingLastOwner) {
+    throw new HttpError(
+      400,
+      "A company needs at least one owner. Promote another member first."
+    );
+  }
+
+  if (role) {
+    member.role = role;
+  } else {
+    company.members = company.members.filter((m) => m !== member);
+  }
+  await company.save();
+  return company;
+};
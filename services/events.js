@@ -0,0 +1,43 @@
+import { EventEmitter } from "events";
+
+/**
+ * In-process event bus for domain events, so the code that changes data
+ * does not need to know who reacts to it. Handlers run after the emitter
+ * carries on; their errors are logged and never reach the emitter.
+ *
+ * Events and their payloads:
+ *   application:submitted       { application, job }
+ *   application:status-changed  { application, job, from, to, actorId,
+ *                                 note, internal }
+ *   application:withdrawn       { application, job, actorId }
+ *   message:sent                { message, application, job }
+ *
+ * `job` may be an id or a document.
+ */
+
+export const EVENT_TYPES = [
+  "application:submitted",
+  "application:status-changed",
+  "application:withdrawn",
+  "message:sent",
+];
+
+const bus = new EventEmitter();
+bus.setMaxListeners(50);
+
+export const onEvent = (type, handler) => {
+  bus.on(type, async (payload) => {
+    try {
+      await handler(payload);
+    } catch (error) {
+      console.error(`Event handler error (${type}):`, error);
+    }
+  });
+};
+
+export const emitEvent = (type, payload) => {
+  if (!EVENT_TYPES.includes(type)) {
+    throw new Error(`Unknown event type: ${type}`);
+  }
+  bus.emit(type, payload);
+};
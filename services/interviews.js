@@ -0,0 +1,505 @@
+import Interview from "../models/Interview.js";
+import Job from "../models/Job.js";
+import User from "../models/User.js";
+import { STATUS_TRANSITIONS } from "../models/Application.js";
+import HttpError from "../utils/httpError.js";
+import { appUrl } from "../utils/appUrl.js";
+import { buildCalendarEvent } from "../utils/ical.js";
+import { canAccessJob } from "./permissions.js";
+import { changeApplicationStatus } from "./applications.js";
+import { onEvent } from "./events.js";
+import { notifyUsers } from "./notifications.js";
+
+const MAX_SLOTS = 10;
+const MAX_SLOT_HOURS = 8;
+const MAX_INTERVIEWERS = 10;
+
+// Applications in these statuses can have interviews arranged
+export const INTERVIEWABLE_STATUSES = ["shortlisted", "interviewed"];
+
+const PARTICIPANTS = [
+  { path: "candidate", select: "name email" },
+  { path: "interviewers", select: "name email" },
+  { path: "createdBy", select: "name email" },
+];
+
+const idOf = (value) => (value && value._id ? value._id : value);
+
+const assertInterviewable = (application) => {
+  if (!INTERVIEWABLE_STATUSES.includes(application.status)) {
+    throw new HttpError(
+      400,
+      `Interviews can only be arranged for ${INTERVIEWABLE_STATUSES.join(
+        " or "
+      )} applications`
+    );
+  }
+};
+
+/**
+ * Which side of an interview the user is on for this application:
+ * { side: "candidate" } for the applicant, { side: "employer", canManage }
+ * for the hiring team, or null when they have no access.
+ */
+export const getInterviewSide = async (user, application, job) => {
+  if (idOf(application.applicant).toString() === user._id.toString()) {
+    return { side: "candidate", canManage: false };
+  }
+  if (await canAccessJob(user, job, "applications:manage")) {
+    return { side: "employer", canManage: true };
+  }
+  if (await canAccessJob(user, job, "applications:view")) {
+    return { side: "employer", canManage: false };
+  }
+  return null;
+};
+
+/**
+ * Check proposed `[{ start, end }]` slots: future times, end after start,
+ * no longer than MAX_SLOT_HOURS. Returns them sorted by start.
+ */
+export const normalizeSlots = (slots, now = new Date()) => {
+  if (!Array.isArray(slots) || !slots.length || slots.length > MAX_SLOTS) {
+    throw new HttpError(400, `Propose between 1 and ${MAX_SLOTS} time slots`);
+  }
+
+  return slots
+    .map((slot, index) => {
+      const label = `Slot ${index + 1}`;
+      const start = new Date(slot?.start);
+      const end = new Date(slot?.end);
+      if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime())) {
+        throw new HttpError(400, `${label}: start and end must be dates`);
+      }
+      if (start <= now) {
+        throw new HttpError(400, `${label} must be in the future`);
+      }
+      if (end <= start) {
+        throw new HttpError(400, `${label} must end after it starts`);
+      }
+      if (end - start > MAX_SLOT_HOURS * 60 * 60 * 1000) {
+        throw new HttpError(
+          400,
+          `${label} cannot be longer than ${MAX_SLOT_HOURS} hours`
+        );
+      }
+      return { start, end };
+    })
+    .sort((a, b) => a.start - b.start);
+};
+
+// Interviewers must be able to see the job's applicants
+const checkInterviewers = async (job, ids = []) => {
+  const unique = [...new Set([].concat(ids).map(String))];
+  if (unique.length > MAX_INTERVIEWERS) {
+    throw new HttpError(
+      400,
+      `An interview can have at most ${MAX_INTERVIEWERS} interviewers`
+    );
+  }
+
+  const users = await User.find({ _id: { $in: unique } }).select("role");
+  for (const id of unique) {
+    const user = users.find((u) => u._id.toString() === id);
+    if (!user || !(await canAccessJob(user, job, "applications:view"))) {
+      throw new HttpError(
+        400,
+        `Interviewer ${id} is not on the hiring team for this job`
+      );
+    }
+  }
+  return unique;
+};
+
+const formatSlot = ({ start, end }, timezone) => {
+  const options = { timeZone: timezone, dateStyle: "full", timeStyle: "short" };
+  const endOptions = { timeZone: timezone, timeStyle: "short" };
+  return `${start.toLocaleString("en-US", options)} – ${end.toLocaleString(
+    "en-US",
+    endOptions
+  )} (${timezone})`;
+};
+
+const whereText = (interview) =>
+  [interview.meetingLink, interview.location].filter(Boolean).join("\n");
+
+/**
+ * iCalendar file for a scheduled interview. Needs the participants
+ * populated. `method` is REQUEST for invites and CANCEL to withdraw one.
+ */
+export const buildInterviewInvite = (
+  interview,
+  job,
+  { method = "REQUEST", start, end } = {}
+) => {
+  const attendees = [interview.candidate, ...interview.interviewers].filter(
+    (user) => user?.email
+  );
+  return buildCalendarEvent({
+    uid: `interview-${interview._id}@jobportal`,
+    method,
+    sequence: interview.sequence,
+    start: start || interview.scheduledStart,
+    end: end || interview.scheduledEnd,
+    summary: `${interview.title}: ${job.title} at ${job.company}`,
+    description: [
+      `${interview.mode} interview for ${job.title}`,
+      whereText(interview),
+    ]
+      .filter(Boolean)
+      .join("\n"),
+    location: interview.meetingLink || interview.location,
+    url: appUrl(`/applications/${idOf(interview.application)}`),
+    organizer: interview.createdBy,
+    attendees,
+  });
+};
+
+// People on the given side of the interview, without duplicates
+const recipients = (interview, side) => {
+  const people =
+    side === "candidate"
+      ? [interview.candidate]
+      : [interview.createdBy, ...interview.interviewers];
+  return people.filter(
+    (user, index) =>
+      user?.email &&
+      people.findIndex((other) => other?.email === user.email) === index
+  );
+};
+
+// Through the notification center, so delivery problems are logged
+// rather than undoing the change
+const notifyAll = (users, content) =>
+  notifyUsers(
+    users.map((user) => user._id),
+    () => content
+  );
+
+const interviewLink = (interview) =>
+  `/applications/${idOf(interview.application)}`;
+
+const interviewData = (interview, job) => ({
+  interviewId: interview._id,
+  applicationId: idOf(interview.application),
+  jobId: job._id,
+});
+
+const inviteAttachment = (interview, job, options) => ({
+  filename: "invite.ics",
+  content: buildInterviewInvite(interview, job, options),
+  contentType: `text/calendar; charset=utf-8; method=${
+    options?.method || "REQUEST"
+  }`,
+});
+
+const proposalMessage = (interview, job, side) => {
+  const slots = interview.proposedSlots
+    .map((slot) => `- ${formatSlot(slot, interview.timezone)}`)
+    .join("\n");
+  const by = side === "candidate" ? "The candidate" : job.company;
+  return {
+    type: "interview:proposed",
+    title: `Interview times proposed for ${job.title}`,
+    message: `${by} proposed these times for the ${job.title} interview:\n\n${slots}\n\nPick one of them.`,
+    link: interviewLink(interview),
+    data: interviewData(interview, job),
+  };
+};
+
+const otherSide = (side) => (side === "candidate" ? "employer" : "candidate");
+
+/**
+ * Propose an interview for a shortlisted application and ask the candidate
+ * to pick one of the slots.
+ */
+export const createInterview = async ({ application, job, actor, data }) => {
+  assertInterviewable(application);
+
+  const interview = await Interview.create({
+    application: application._id,
+    job: job._id,
+    candidate: idOf(application.applicant),
+    title: data.title,
+    mode: data.mode,
+    location: data.location,
+    meetingLink: data.meetingLink,
+    timezone: data.timezone,
+    interviewers: await checkInterviewers(
+      job,
+      data.interviewers?.length ? data.interviewers : [actor._id]
+    ),
+    proposedSlots: normalizeSlots(data.slots),
+    proposedBy: "employer",
+    createdBy: actor._id,
+  });
+
+  await interview.populate(PARTICIPANTS);
+  await notifyAll(
+    recipients(interview, "candidate"),
+    proposalMessage(interview, job, "employer")
+  );
+  return interview;
+};
+
+/**
+ * The party that did not propose the current slots picks one of them,
+ * which schedules the interview and sends calendar invites to everyone.
+ */
+export const selectInterviewSlot = async (
+  interview,
+  job,
+  { application, side, slotId }
+) => {
+  assertInterviewable(application);
+  if (interview.status !== "proposed") {
+    throw new HttpError(400, `Interview is already ${interview.status}`);
+  }
+  if (interview.proposedBy === side) {
+    throw new HttpError(
+      403,
+      "The other party has to pick from the times you proposed"
+    );
+  }
+
+  const slot = interview.proposedSlots.id(slotId);
+  if (!slot) throw new HttpError(404, "Time slot not found");
+  if (slot.start <= new Date()) {
+    throw new HttpError(400, "That time slot has already passed");
+  }
+
+  interview.status = "scheduled";
+  interview.scheduledStart = slot.start;
+  interview.scheduledEnd = slot.end;
+  interview.sequence += 1;
+  await interview.save();
+
+  await interview.populate(PARTICIPANTS);
+  const when = formatSlot(slot, interview.timezone);
+  await notifyAll(
+    [
+      ...recipients(interview, "candidate"),
+      ...recipients(interview, "employer"),
+    ],
+    {
+      type: "interview:scheduled",
+      title: `Interview scheduled: ${job.title}`,
+      message: `The ${
+        job.title
+      } interview is scheduled for ${when}.\n\n${whereText(interview)}`.trim(),
+      link: interviewLink(interview),
+      data: interviewData(interview, job),
+      attachments: [inviteAttachment(interview, job)],
+    }
+  );
+  return interview;
+};
+
+/**
+ * Replace the proposed times with new ones; the interview goes back to
+ * "proposed" until the other side picks one. A scheduled interview's
+ * calendar entry is withdrawn.
+ */
+export const rescheduleInterview = async (
+  interview,
+  job,
+  { application, side, slots, reason }
+) => {
+  assertInterviewable(application);
+  if (!["proposed", "scheduled"].includes(interview.status)) {
+    throw new HttpError(
+      400,
+      `Cannot reschedule a ${interview.status} interview`
+    );
+  }
+
+  const previous = interview.status === "scheduled" && {
+    start: interview.scheduledStart,
+    end: interview.scheduledEnd,
+  };
+
+  interview.proposedSlots = normalizeSlots(slots);
+  interview.proposedBy = side;
+  interview.status = "proposed";
+  interview.scheduledStart = undefined;
+  interview.scheduledEnd = undefined;
+  interview.sequence += 1;
+  await interview.save();
+
+  await interview.populate(PARTICIPANTS);
+  const content = proposalMessage(interview, job, side);
+  if (reason) content.message = `Reason: ${reason}\n\n${content.message}`;
+  await notifyAll(recipients(interview, otherSide(side)), content);
+  if (previous) {
+    await notifyAll(recipients(interview, side), {
+      type: "interview:rescheduled",
+      title: `Interview rescheduled: ${job.title}`,
+      message: `The ${job.title} interview on ${formatSlot(
+        previous,
+        interview.timezone
+      )} is being rescheduled.`,
+      link: interviewLink(interview),
+      data: interviewData(interview, job),
+      attachments: [
+        inviteAttachment(interview, job, { method: "CANCEL", ...previous }),
+      ],
+    });
+  }
+  return interview;
+};
+
+/**
+ * Cancel an interview that has not happened yet and tell both sides.
+ */
+export const cancelInterview = async (interview, job, { side, reason }) => {
+  if (!["proposed", "scheduled"].includes(interview.status)) {
+    throw new HttpError(400, `Cannot cancel a ${interview.status} interview`);
+  }
+
+  const wasScheduled = interview.status === "scheduled";
+  interview.status = "cancelled";
+  interview.cancelledBy = side;
+  interview.cancelledAt = new Date();
+  interview.cancelReason = reason;
+  interview.sequence += 1;
+  await interview.save();
+
+  await interview.populate(PARTICIPANTS);
+  await notifyAll(
+    [
+      ...recipients(interview, "candidate"),
+      ...recipients(interview, "employer"),
+    ],
+    {
+      type: "interview:cancelled",
+      title: `Interview cancelled: ${job.title}`,
+      message: `The ${job.title} interview was cancelled by the ${
+        side === "candidate" ? "candidate" : "employer"
+      }.${reason ? `\n\nReason: ${reason}` : ""}`,
+      link: interviewLink(interview),
+      data: interviewData(interview, job),
+      attachments: wasScheduled
+        ? [inviteAttachment(interview, job, { method: "CANCEL" })]
+        : undefined,
+    }
+  );
+  return interview;
+};
+
+/**
+ * Cancel every interview matching `filter` that has not happened yet,
+ * withdrawing calendar invites for scheduled ones. Used when the
+ * application or job it belongs to closes. Returns how many were
+ * cancelled.
+ */
+export const cancelOpenInterviews = async (filter, job, { side, reason }) => {
+  const interviews = await Interview.find({
+    ...filter,
+    status: { $in: ["proposed", "scheduled"] },
+  });
+  for (const interview of interviews) {
+    await cancelInterview(interview, job, { side, reason });
+  }
+  return interviews.length;
+};
+
+/**
+ * Record an interviewer's scores. Each interviewer has one feedback entry,
+ * replaced if they submit again. The interview becomes completed, and a
+ * shortlisted application moves on to "interviewed".
+ */
+export const submitInterviewFeedback = async (
+  interview,
+  application,
+  { actor, canManage, data }
+) => {
+  const isInterviewer = interview.interviewers.some(
+    (id) => idOf(id).toString() === actor._id.toString()
+  );
+  if (!isInterviewer && !canManage) {
+    throw new HttpError(
+      403,
+      "Only the interviewers or the hiring team can submit feedback"
+    );
+  }
+  if (!["scheduled", "completed"].includes(interview.status)) {
+    throw new HttpError(
+      400,
+      "Feedback can only be given for scheduled interviews"
+    );
+  }
+  if (interview.scheduledStart > new Date()) {
+    throw new HttpError(400, "The interview has not started yet");
+  }
+
+  const entry = {
+    interviewer: actor._id,
+    scores: data.scores || [],
+    overall: data.overall,
+    recommendation: data.recommendation,
+    comments: data.comments,
+    submittedAt: new Date(),
+  };
+  const existing = interview.feedback.findIndex(
+    (item) => idOf(item.interviewer).toString() === actor._id.toString()
+  );
+  if (existing === -1) interview.feedback.push(entry);
+  else interview.feedback.set(existing, entry);
+  interview.status = "completed";
+  await interview.save();
+
+  let updatedApplication = application;
+  if (application.status === "shortlisted") {
+    updatedApplication = await changeApplicationStatus(application, {
+      to: "interviewed",
+      actorId: actor._id,
+      note: `Interview feedback submitted by ${actor.name}`,
+    });
+  }
+  return { interview, application: updatedApplication };
+};
+
+/**
+ * Interview as the candidate sees it, without the hiring team's feedback.
+ */
+export const toCandidateView = (interview) => {
+  const { feedback, ...view } = interview.toObject();
+  return view;
+};
+
+const loadJob = (job) =>
+  job?.title ? job : Job.findById(idOf(job)).select("title company");
+
+const onApplicationStatusChanged = async ({ application, job, to }) => {
+  // Hired and rejected applications cannot change again
+  if (STATUS_TRANSITIONS[to]?.length) return;
+  await cancelOpenInterviews(
+    { application: application._id },
+    await loadJob(job),
+    {
+      side: "employer",
+      reason: `The application was ${to}.`,
+    }
+  );
+};
+
+const onApplicationWithdrawn = async ({ application, job }) => {
+  await cancelOpenInterviews(
+    { application: application._id },
+    await loadJob(job),
+    {
+      side: "candidate",
+      reason: "The candidate withdrew their application.",
+    }
+  );
+  // The application itself is gone, so its interviews are unreachable
+  await Interview.deleteMany({ application: application._id });
+};
+
+/**
+ * Withdraw open interviews when their application closes.
+ */
+export const registerInterviewHandlers = () => {
+  onEvent("application:status-changed", onApplicationStatusChanged);
+  onEvent("application:withdrawn", onApplicationWithdrawn);
+};
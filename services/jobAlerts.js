@@ -0,0 +1,96 @@
+import Job from "../models/Job.js";
+import SavedSearch from "../models/SavedSearch.js";
+import { buildJobQuery } from "../utils/jobFilters.js";
+import { appUrl } from "../utils/appUrl.js";
+import { notify } from "./notifier.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PERIOD_MS = { daily: DAY_MS, weekly: 7 * DAY_MS };
+const MAX_JOBS_PER_DIGEST = 20;
+
+const formatDigest = (search, jobs, total) => {
+  const lines = jobs.map(
+    (job) =>
+      `- ${job.title} at ${job.company} (${job.location})\n  ${appUrl(
+        `/jobs/${job._id}`
+      )}`
+  );
+  if (total > jobs.length) {
+    lines.push(`...and ${total - jobs.length} more.`);
+  }
+
+  return {
+    subject: `${total} new job${total === 1 ? "" : "s"} for "${search.name}"`,
+    text: `New jobs matching your saved search "${
+      search.name
+    }":\n\n${lines.join("\n")}\n\nManage your job alerts: ${appUrl(
+      "/saved-searches"
+    )}`,
+  };
+};
+
+/**
+ * Find jobs published since the search was last checked and send them as
+ * one digest. The check window advances even when nothing matched, so
+ * every job is reported at most once per search.
+ */
+export const processSavedSearch = async (search, now = new Date()) => {
+  const query = {
+    ...buildJobQuery(search.toObject().filters),
+    // publishedAt rather than createdAt, so scheduled jobs count as new
+    // when they go live
+    publishedAt: { $gt: search.lastCheckedAt, $lte: now },
+  };
+
+  const [jobs, total] = await Promise.all([
+    Job.find(query)
+      .select("title company location")
+      .sort({ publishedAt: -1 })
+      .limit(MAX_JOBS_PER_DIGEST)
+      .lean(),
+    Job.countDocuments(query),
+  ]);
+
+  if (total > 0) {
+    const { subject, text } = formatDigest(search, jobs, total);
+    await notify(search.user, {
+      subject,
+      text,
+      data: { type: "job-alert", savedSearchId: search._id, jobs },
+    });
+  }
+
+  search.lastCheckedAt = now;
+  if (total > 0) search.lastSentAt = now;
+  await search.save();
+
+  return total;
+};
+
+/**
+ * Scheduled task: process every active saved search whose daily or weekly
+ * period has elapsed.
+ */
+export const runJobAlerts = async (now = new Date()) => {
+  const dueFilters = Object.entries(PERIOD_MS).map(([frequency, period]) => ({
+    frequency,
+    lastCheckedAt: { $lte: new Date(now.getTime() - period) },
+  }));
+
+  const cursor = SavedSearch.find({ isPaused: false, $or: dueFilters })
+    .populate("user", "name email")
+    .cursor();
+
+  let processed = 0;
+  for await (const search of cursor) {
+    // Owner was deleted since the search was saved
+    if (!search.user) continue;
+    try {
+      await processSavedSearch(search, now);
+      processed += 1;
+    } catch (error) {
+      console.error(`Job alert for saved search ${search._id} failed:`, error);
+    }
+  }
+  return processed;
+};
@@ -0,0 +1,73 @@
+import Job from "../models/Job.js";
+import { buildJobQuery } from "../utils/jobFilters.js";
+
+export const JOB_FACETS = [
+  "type",
+  "category",
+  "experienceLevel",
+  "location",
+  "salary",
+];
+
+// Lower bounds of the salary buckets, compared against annualSalary.min
+// (yearly, in the base currency)
+const SALARY_BUCKETS = [0, 25000, 50000, 75000, 100000, 150000, 200000];
+const MAX_LOCATIONS = 20;
+
+const valueCounts = (field, limit) => {
+  const stages = [
+    { $match: { [field]: { $nin: [null, ""] } } },
+    { $group: { _id: `$${field}`, count: { $sum: 1 } } },
+    { $sort: { count: -1, _id: 1 } },
+  ];
+  if (limit) stages.push({ $limit: limit });
+  stages.push({ $project: { _id: 0, value: "$_id", count: 1 } });
+  return stages;
+};
+
+const FACET_STAGES = {
+  type: () => valueCounts("type"),
+  category: () => valueCounts("category"),
+  experienceLevel: () => valueCounts("experienceLevel"),
+  location: () => valueCounts("location", MAX_LOCATIONS),
+  salary: () => [
+    {
+      $bucket: {
+        groupBy: "$annualSalary.min",
+        boundaries: [...SALARY_BUCKETS, Infinity],
+        default: "unspecified",
+        output: { count: { $sum: 1 } },
+      },
+    },
+  ],
+};
+
+const formatSalaryBuckets = (buckets) =>
+  buckets.map(({ _id, count }) => {
+    if (_id === "unspecified") return { min: null, max: null, count };
+    const next = SALARY_BUCKETS[SALARY_BUCKETS.indexOf(_id) + 1];
+    return { min: _id, max: next ?? null, count };
+  });
+
+/**
+ * Count matching jobs per facet value for a set of search filters. Each
+ * facet is counted with every filter applied except its own, so the UI can
+ * offer the other values of a facet the user has already narrowed.
+ */
+export const getJobFacets = async (filters, facets = JOB_FACETS) => {
+  if (!facets.length) return {};
+
+  // Filters shared by every facet; the text search has to run first
+  const pipeline = [{ $match: buildJobQuery(filters, { omit: JOB_FACETS }) }];
+
+  const facetStages = {};
+  for (const name of facets) {
+    const others = buildJobQuery(filters, { omit: ["keyword", name] });
+    facetStages[name] = [{ $match: others }, ...FACET_STAGES[name]()];
+  }
+  pipeline.push({ $facet: facetStages });
+
+  const [result] = await Job.aggregate(pipeline);
+  if (result.salary) result.salary = formatSalaryBuckets(result.salary);
+  return result;
+};
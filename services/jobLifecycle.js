@@ -0,0 +1,77 @@
+import Job from "../models/Job.js";
+import { createNotification } from "./notifications.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Activate jobs whose scheduled publish time has come. Unpublished jobs
+ * that were never scheduled are drafts and stay inactive.
+ */
+export const publishScheduledJobs = async (now = new Date()) => {
+  const result = await Job.updateMany(
+    { scheduled: true, publishAt: { $lte: now }, publishedAt: null },
+    { $set: { isActive: true, publishedAt: now, scheduled: false } }
+  );
+  return result.modifiedCount;
+};
+
+/**
+ * Deactivate active jobs past their expiry date.
+ */
+export const expireJobs = async (now = new Date()) => {
+  const result = await Job.updateMany(
+    { isActive: true, expiresAt: { $lte: now } },
+    { $set: { isActive: false, expiredAt: now } }
+  );
+  return result.modifiedCount;
+};
+
+/**
+ * Tell job creators that a listing expires within
+ * JOB_EXPIRY_REMINDER_DAYS. Each listing is reminded once per renewal.
+ */
+export const sendExpiryReminders = async (now = new Date()) => {
+  const days = parseInt(process.env.JOB_EXPIRY_REMINDER_DAYS) || 3;
+  const jobs = await Job.find({
+    isActive: true,
+    expiresAt: { $gt: now, $lte: new Date(now.getTime() + days * DAY_MS) },
+    expiryReminderSentAt: null,
+  })
+    .select("title company expiresAt createdBy")
+    .populate("createdBy", "name email notificationPreferences");
+
+  let sent = 0;
+  for (const job of jobs) {
+    try {
+      if (job.createdBy) {
+        await createNotification(job.createdBy, {
+          type: "job:expiring",
+          title: `Your job "${job.title}" expires soon`,
+          message: `Your listing "${job.title}" at ${
+            job.company
+          } stops accepting applications on ${job.expiresAt.toUTCString()}. Renew it to keep it live.`,
+          link: `/jobs/${job._id}/renew`,
+          data: { jobId: job._id },
+        });
+        sent += 1;
+      }
+      await Job.updateOne(
+        { _id: job._id },
+        { $set: { expiryReminderSentAt: now } }
+      );
+    } catch (error) {
+      console.error(`Expiry reminder for job ${job._id} failed:`, error);
+    }
+  }
+  return sent;
+};
+
+/**
+ * Scheduled task: publish, remind, then expire.
+ */
+export const runJobLifecycle = async (now = new Date()) => {
+  const published = await publishScheduledJobs(now);
+  const reminded = await sendExpiryReminders(now);
+  const expired = await expireJobs(now);
+  return { published, reminded, expired };
+};
@@ -0,0 +1,226 @@
+import crypto from "crypto";
+import mongoose from "mongoose";
+import Job from "../models/Job.js";
+import JobView from "../models/JobView.js";
+import JobViewRollup from "../models/JobViewRollup.js";
+
+/**
+ * Job view tracking. Each visitor is counted at most once per job in a
+ * fixed JOB_VIEW_DEDUP_MINUTES window; the job's creator and obvious bots
+ * are not counted at all. Counted views are stored as JobView documents
+ * and periodically rolled up into hourly and daily JobViewRollup buckets
+ * (UTC) and Job.viewsCount, so a page view never writes to the job itself.
+ */
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_MS = 24 * HOUR_MS;
+
+const ROLLUP_BATCH_SIZE = 1000;
+// Hourly trends are only offered for ranges up to this long
+export const MAX_HOURLY_RANGE_DAYS = 31;
+
+// Views seen recently by this process, so repeat hits inside a window
+// skip the database entirely
+const RECENT_VIEWS_LIMIT = 10000;
+const recentViews = new Map();
+
+const BOT_PATTERN =
+  /bot|crawl|spider|slurp|scrap|headless|preview|facebookexternalhit|curl|wget|python-requests|httpclient|lighthouse/i;
+
+const idOf = (value) => (value && value._id ? value._id : value);
+
+const dedupWindowMs = () =>
+  (parseInt(process.env.JOB_VIEW_DEDUP_MINUTES) || 30) * MINUTE_MS;
+
+const startOf = (date, unitMs) =>
+  new Date(Math.floor(date.getTime() / unitMs) * unitMs);
+
+/**
+ * Stable visitor key: the user for signed-in requests, otherwise a salted
+ * hash of IP address and user agent so raw addresses are never stored.
+ */
+const visitorKey = (req) => {
+  if (req.user) return `user:${req.user._id}`;
+  const salt = process.env.VIEW_FINGERPRINT_SALT || process.env.JWT_SECRET;
+  const fingerprint = crypto
+    .createHash("sha256")
+    .update(`${salt}|${req.ip}|${req.get("user-agent")}`)
+    .digest("hex");
+  return `anon:${fingerprint}`;
+};
+
+const rememberView = (key) => {
+  if (recentViews.size >= RECENT_VIEWS_LIMIT) {
+    // Oldest entry first, by insertion order
+    recentViews.delete(recentViews.keys().next().value);
+  }
+  recentViews.set(key, true);
+};
+
+/**
+ * Count a view of `job` for the requester unless it is the job's creator,
+ * a bot, or a repeat within the current dedup window. Returns whether a
+ * new view was recorded.
+ */
+export const recordJobView = async (job, req) => {
+  const userAgent = req.get("user-agent");
+  if (!userAgent || BOT_PATTERN.test(userAgent)) return false;
+  if (req.user && idOf(job.createdBy)?.toString() === req.user._id.toString()) {
+    return false;
+  }
+
+  const now = new Date();
+  const visitor = visitorKey(req);
+  const window = startOf(now, dedupWindowMs());
+  const key = `${job._id}|${visitor}|${window.getTime()}`;
+  if (recentViews.has(key)) return false;
+  rememberView(key);
+
+  try {
+    const result = await JobView.updateOne(
+      { job: job._id, visitor, window },
+      { $setOnInsert: { user: req.user?._id, viewedAt: now } },
+      { upsert: true }
+    );
+    return result.upsertedCount > 0;
+  } catch (error) {
+    // Another request from the same visitor inserted it first
+    if (error.code === 11000) return false;
+    throw error;
+  }
+};
+
+/**
+ * Add every view not yet rolled up to the hourly and daily buckets and to
+ * Job.viewsCount. Views are claimed before they are counted, so a failed
+ * run can undercount a batch but never counts a view twice. Returns the
+ * number of views rolled up.
+ */
+export const rollUpJobViews = async (now = new Date()) => {
+  let total = 0;
+
+  for (;;) {
+    const views = await JobView.find({ rolledUpAt: null })
+      .sort({ viewedAt: 1 })
+      .limit(ROLLUP_BATCH_SIZE)
+      .select("job viewedAt")
+      .lean();
+    if (!views.length) break;
+
+    await JobView.updateMany(
+      { _id: { $in: views.map((view) => view._id) } },
+      { $set: { rolledUpAt: now } }
+    );
+
+    const buckets = new Map();
+    const perJob = new Map();
+    for (const view of views) {
+      const jobId = view.job.toString();
+      perJob.set(jobId, (perJob.get(jobId) || 0) + 1);
+      for (const [granularity, unitMs] of [
+        ["hour", HOUR_MS],
+        ["day", DAY_MS],
+      ]) {
+        const bucket = startOf(view.viewedAt, unitMs).getTime();
+        const key = `${jobId}|${granularity}|${bucket}`;
+        const entry = buckets.get(key) || {
+          job: view.job,
+          granularity,
+          bucket: new Date(bucket),
+          views: 0,
+        };
+        entry.views += 1;
+        buckets.set(key, entry);
+      }
+    }
+
+    await JobViewRollup.bulkWrite(
+      [...buckets.values()].map(({ views: count, ...filter }) => ({
+        updateOne: {
+          filter,
+          update: { $inc: { views: count } },
+          upsert: true,
+        },
+      })),
+      { ordered: false }
+    );
+    await Job.bulkWrite(
+      [...perJob].map(([jobId, count]) => ({
+        updateOne: {
+          filter: { _id: jobId },
+          update: { $inc: { viewsCount: count } },
+        },
+      })),
+      { ordered: false }
+    );
+
+    total += views.length;
+    if (views.length < ROLLUP_BATCH_SIZE) break;
+  }
+
+  return total;
+};
+
+/**
+ * Views of the given jobs between `from` and `to`, grouped by calendar
+ * date in `timezone` (YYYY-MM-DD → count). Built from the hourly buckets so
+ * any time zone with whole-hour offsets lines up.
+ */
+export const countDailyViews = async (jobIds, { from, to }, timezone) => {
+  const rows = await JobViewRollup.aggregate([
+    {
+      $match: {
+        job: { $in: jobIds },
+        granularity: "hour",
+        bucket: { $gte: startOf(from, HOUR_MS), $lte: to },
+      },
+    },
+    {
+      $group: {
+        _id: {
+          job: "$job",
+          date: {
+            $dateToString: { format: "%Y-%m-%d", date: "$bucket", timezone },
+          },
+        },
+        views: { $sum: "$views" },
+      },
+    },
+  ]);
+
+  const daily = {};
+  const perJob = {};
+  for (const { _id, views } of rows) {
+    daily[_id.date] = (daily[_id.date] || 0) + views;
+    perJob[_id.job] = (perJob[_id.job] || 0) + views;
+  }
+  return { daily, perJob };
+};
+
+/**
+ * Zero-filled view counts for one job, one entry per UTC hour or day
+ * between `from` and `to`.
+ */
+export const getJobViewTrend = async (jobId, { granularity, from, to }) => {
+  const unitMs = granularity === "hour" ? HOUR_MS : DAY_MS;
+  const first = startOf(from, unitMs);
+  const rows = await JobViewRollup.find({
+    job: new mongoose.Types.ObjectId(String(jobId)),
+    granularity,
+    bucket: { $gte: first, $lte: to },
+  })
+    .select("bucket views")
+    .lean();
+
+  const counts = new Map(rows.map((row) => [row.bucket.getTime(), row.views]));
+  const points = [];
+  for (let time = first.getTime(); time <= to.getTime(); time += unitMs) {
+    points.push({ bucket: new Date(time), views: counts.get(time) || 0 });
+  }
+  return {
+    granularity,
+    total: points.reduce((sum, point) => sum + point.views, 0),
+    points,
+  };
+};
@@ -0,0 +1,62 @@
+import fs from "fs/promises";
+import path from "path";
+
+/**
+ * Mail transports expose a single `send(message)` method, where message is
+ * { from, to, subject, text, html, attachments } and each attachment is
+ * { filename, content, contentType }. Pick one with MAIL_TRANSPORT or
+ * install a custom one (SMTP, a provider API, a test spy) with
+ * setMailTransport.
+ */
+
+const consoleTransport = {
+  async send(message) {
+    console.log(
+      `[mail] To: ${message.to}\n[mail] Subject: ${message.subject}\n${message.text}`
+    );
+    for (const attachment of message.attachments || []) {
+      console.log(`[mail] Attachment: ${attachment.filename}`);
+    }
+  },
+};
+
+// Writes each message as JSON into MAIL_DIR, handy for local development
+const fileTransport = {
+  async send(message) {
+    const dir = process.env.MAIL_DIR || "tmp/mail";
+    await fs.mkdir(dir, { recursive: true });
+    const name = `${Date.now()}-${message.to.replace(/[^\w.@-]/g, "_")}.json`;
+    await fs.writeFile(
+      path.join(dir, name),
+      JSON.stringify({ ...message, sentAt: new Date() }, null, 2)
+    );
+  },
+};
+
+const transports = {
+  console: consoleTransport,
+  file: fileTransport,
+};
+
+let customTransport = null;
+
+export const registerMailTransport = (name, transport) => {
+  transports[name] = transport;
+};
+
+export const setMailTransport = (transport) => {
+  customTransport = transport;
+};
+
+const getTransport = () => {
+  if (customTransport) return customTransport;
+  const name = process.env.MAIL_TRANSPORT || "console";
+  const transport = transports[name];
+  if (!transport) throw new Error(`Unknown mail transport: ${name}`);
+  return transport;
+};
+
+export const sendMail = async ({ to, subject, text, html, attachments }) => {
+  const from = process.env.MAIL_FROM || "no-reply@jobportal.local";
+  await getTransport().send({ from, to, subject, text, html, attachments });
+};
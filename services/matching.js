@@ -0,0 +1,299 @@
+import Job from "../models/Job.js";
+import Application from "../models/Application.js";
+import { buildJobQuery } from "../utils/jobFilters.js";
+import { geocode } from "../utils/geocode.js";
+import { toAnnualBase } from "../utils/salary.js";
+
+/**
+ * Scores how well a job fits a candidate profile. Each factor scores 0–1
+ * with a human-readable reason; factors the profile or job has no data for
+ * score null and are left out of the weighted total, which is 0–100.
+ */
+
+export const MATCH_WEIGHTS = {
+  skills: 35,
+  experience: 20,
+  location: 15,
+  salary: 15,
+  jobType: 10,
+  industry: 5,
+};
+
+// Years of experience each level expects
+const EXPERIENCE_YEARS = {
+  entry: [0, 2],
+  mid: [2, 5],
+  senior: [5, 10],
+  lead: [8, 15],
+  executive: [10, Infinity],
+};
+
+const NEARBY_KM = 50;
+const COMMUTE_KM = 150;
+// Most recent jobs considered for a recommendation feed
+const MAX_RECOMMENDATION_POOL = 300;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const normalize = (text) => (text ? String(text).toLowerCase().trim() : "");
+
+// Whole-word match that tolerates skills such as "c++" or "node.js"
+const mentions = (text, term) => {
+  const escaped = term.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  return new RegExp(`(^|[^a-z0-9+#.])${escaped}($|[^a-z0-9+#])`).test(text);
+};
+
+const distanceKm = ([lng1, lat1], [lng2, lat2]) => {
+  const toRad = (deg) => (deg * Math.PI) / 180;
+  const dLat = toRad(lat2 - lat1);
+  const dLng = toRad(lng2 - lng1);
+  const a =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLng / 2) ** 2;
+  return 6371 * 2 * Math.asin(Math.sqrt(a));
+};
+
+const scoreSkills = (profile, job) => {
+  const skills = (profile.skills || []).map(normalize).filter(Boolean);
+  if (!skills.length) return { score: null, reason: "No skills on profile" };
+
+  const tags = (job.tags || []).map(normalize).filter(Boolean);
+  if (tags.length) {
+    const matched = tags.filter((tag) => skills.includes(tag));
+    return {
+      score: round(matched.length / tags.length),
+      reason: `Has ${matched.length} of ${tags.length} listed skills`,
+      matched,
+      missing: tags.filter((tag) => !matched.includes(tag)),
+    };
+  }
+
+  // Untagged jobs: look for the candidate's skills in the posting itself
+  const text = normalize(
+    [job.title, job.requirements, job.description].join(" ")
+  );
+  const matched = skills.filter((skill) => mentions(text, skill));
+  return {
+    score: round(Math.min(1, matched.length / Math.min(skills.length, 5))),
+    reason: matched.length
+      ? `Posting mentions ${matched.length} of your skills`
+      : "Posting mentions none of your skills",
+    matched,
+  };
+};
+
+const scoreExperience = (profile, job) => {
+  const years = profile.experience;
+  const range = EXPERIENCE_YEARS[job.experienceLevel];
+  if (years === undefined || years === null || !range) {
+    return { score: null, reason: "No experience on profile" };
+  }
+
+  const [min, max] = range;
+  if (years < min) {
+    return {
+      score: round(Math.max(0, 1 - (min - years) * 0.25)),
+      reason: `${job.experienceLevel} roles usually need ${min}+ years`,
+    };
+  }
+  if (years > max) {
+    return {
+      score: round(Math.max(0.5, 1 - (years - max) * 0.1)),
+      reason: `More experience than a ${job.experienceLevel} role needs`,
+    };
+  }
+  return {
+    score: 1,
+    reason: `Experience fits a ${job.experienceLevel} role`,
+  };
+};
+
+const scoreLocation = (profile, job) => {
+  if (job.workplaceType === "remote") {
+    return profile.workType === "onsite"
+      ? { score: 0.5, reason: "Remote job, but you prefer on-site work" }
+      : { score: 1, reason: "Remote job" };
+  }
+  if (profile.workType === "remote") {
+    const kind = job.workplaceType === "hybrid" ? "Hybrid" : "On-site";
+    return { score: 0.2, reason: `${kind} job, but you prefer remote work` };
+  }
+
+  const wanted = profile.preferredLocation || profile.location;
+  if (!wanted) return { score: null, reason: "No location on profile" };
+
+  const place = geocode(wanted);
+  const jobPoint = job.place?.point?.coordinates;
+  if (!place || !jobPoint) {
+    // Fall back to comparing the text when either side is unknown
+    const same =
+      normalize(job.location).includes(normalize(wanted)) ||
+      normalize(wanted).includes(normalize(job.location));
+    return same
+      ? { score: 1, reason: `Located in ${job.location}` }
+      : { score: null, reason: "Could not compare locations" };
+  }
+
+  const km = Math.round(distanceKm(place.point.coordinates, jobPoint));
+  if (km <= NEARBY_KM) {
+    return { score: 1, reason: `${km} km from ${place.city}`, distanceKm: km };
+  }
+  if (km <= COMMUTE_KM) {
+    return {
+      score: 0.6,
+      reason: `${km} km from ${place.city}`,
+      distanceKm: km,
+    };
+  }
+  if (job.place.countryCode === place.countryCode) {
+    return {
+      score: 0.4,
+      reason: `Elsewhere in ${place.country}`,
+      distanceKm: km,
+    };
+  }
+  return { score: 0.1, reason: "In another country", distanceKm: km };
+};
+
+const scoreSalary = (profile, job) => {
+  const wanted = profile.salaryRange?.min;
+  const offered = job.annualSalary?.max ?? job.annualSalary?.min;
+  if (!wanted) {
+    return { score: null, reason: "No salary expectation on profile" };
+  }
+  if (!offered) return { score: null, reason: "Job does not list a salary" };
+
+  const expected = toAnnualBase(wanted, profile.salaryRange.currency, "yearly");
+  if (!expected) return { score: null, reason: "Unknown salary currency" };
+
+  if (offered >= expected) {
+    return { score: 1, reason: "Pays at least your expected salary" };
+  }
+  const percent = Math.round((offered / expected) * 100);
+  return {
+    score: round(offered / expected),
+    reason: `Pays up to ${percent}% of your expected salary`,
+  };
+};
+
+const scoreJobType = (profile, job) => {
+  if (!profile.jobType) {
+    return { score: null, reason: "No job type on profile" };
+  }
+
+  const fits =
+    profile.jobType === job.type ||
+    (profile.jobType === "remote" && job.workplaceType === "remote");
+  return fits
+    ? { score: 1, reason: `${job.type} as preferred` }
+    : { score: 0.25, reason: `${job.type}, you prefer ${profile.jobType}` };
+};
+
+const scoreIndustry = (profile, job) => {
+  const industries = (profile.industries || []).map(normalize).filter(Boolean);
+  if (!industries.length) {
+    return { score: null, reason: "No industries on profile" };
+  }
+
+  const jobIndustries = [job.category, job.companyProfile?.industry]
+    .map(normalize)
+    .filter(Boolean);
+  const match = industries.find((industry) =>
+    jobIndustries.some(
+      (value) => value.includes(industry) || industry.includes(value)
+    )
+  );
+  return match
+    ? { score: 1, reason: `In your industry: ${match}` }
+    : { score: 0, reason: "Outside your industries" };
+};
+
+const SCORERS = {
+  skills: scoreSkills,
+  experience: scoreExperience,
+  location: scoreLocation,
+  salary: scoreSalary,
+  jobType: scoreJobType,
+  industry: scoreIndustry,
+};
+
+/**
+ * Score a job against a candidate profile. Returns the 0–100 total and the
+ * per-factor breakdown it was computed from.
+ */
+export const scoreJobMatch = (profile = {}, job) => {
+  let weighted = 0;
+  let totalWeight = 0;
+
+  const factors = Object.entries(SCORERS).map(([factor, scorer]) => {
+    const weight = MATCH_WEIGHTS[factor];
+    const result = scorer(profile || {}, job);
+    if (result.score !== null) {
+      weighted += result.score * weight;
+      totalWeight += weight;
+    }
+    return { factor, weight, ...result };
+  });
+
+  return {
+    score: totalWeight ? Math.round((weighted / totalWeight) * 100) : null,
+    factors,
+  };
+};
+
+// Narrow the pool to jobs sharing at least something with the profile
+const profilePrefilter = (profile) => {
+  const clauses = [];
+  if (profile.skills?.length) clauses.push({ tags: { $in: profile.skills } });
+  if (profile.jobType) clauses.push({ type: profile.jobType });
+  if (profile.workType === "remote") clauses.push({ workplaceType: "remote" });
+  if (profile.experience !== undefined && profile.experience !== null) {
+    const levels = Object.keys(EXPERIENCE_YEARS).filter((level) => {
+      const [min, max] = EXPERIENCE_YEARS[level];
+      return profile.experience >= min && profile.experience <= max;
+    });
+    clauses.push({ experienceLevel: { $in: levels } });
+  }
+  return clauses.length ? { $or: clauses } : {};
+};
+
+/**
+ * Rank active jobs for a candidate, best match first, leaving out jobs
+ * they have already applied to. Only the MAX_RECOMMENDATION_POOL most
+ * recent jobs resembling the profile are scored.
+ */
+export const recommendJobs = async (
+  user,
+  { page = 1, limit = 10, minScore = 0, select, populate = [] } = {}
+) => {
+  const profile = user.profile?.toObject?.() || user.profile || {};
+  const appliedJobIds = await Application.find({
+    applicant: user._id,
+  }).distinct("job");
+
+  let find = Job.find({
+    $and: [
+      buildJobQuery(),
+      profilePrefilter(profile),
+      { _id: { $nin: appliedJobIds } },
+    ],
+  });
+  if (select) find = find.select(select);
+  for (const path of populate) find = find.populate(path);
+  const jobs = await find
+    .sort({ publishedAt: -1, createdAt: -1 })
+    .limit(MAX_RECOMMENDATION_POOL)
+    .lean();
+
+  const ranked = jobs
+    .map((job) => ({ ...job, match: scoreJobMatch(profile, job) }))
+    .filter((job) => (job.match.score ?? 0) >= minScore)
+    .sort(
+      (a, b) =>
+        (b.match.score ?? -1) - (a.match.score ?? -1) ||
+        new Date(b.createdAt) - new Date(a.createdAt)
+    );
+
+  const start = (page - 1) * limit;
+  return { jobs: ranked.slice(start, start + limit), total: ranked.length };
+};
@@ -0,0 +1,124 @@
+import Message from "../models/Message.js";
+import File from "../models/File.js";
+import HttpError from "../utils/httpError.js";
+import { canAccessJob } from "./permissions.js";
+import { getStorageDriver } from "./storage.js";
+import { emitEvent } from "./events.js";
+
+export const MAX_MESSAGE_ATTACHMENTS = 5;
+
+const idOf = (value) => (value && value._id ? value._id : value);
+
+/**
+ * Which side of an application's message thread the user is on:
+ * "candidate" for the applicant, "employer" for whoever may manage the
+ * job's applicants (its owner, recruiters and admins), otherwise null.
+ */
+export const getThreadSide = async (user, application, job) => {
+  if (idOf(application.applicant).toString() === user._id.toString()) {
+    return "candidate";
+  }
+  if (await canAccessJob(user, job, "applications:manage")) {
+    return "employer";
+  }
+  return null;
+};
+
+// Attachments must be the sender's own uploads and not used elsewhere
+const checkAttachments = async (sender, ids = []) => {
+  const unique = [...new Set([].concat(ids).map(String))];
+  if (unique.length > MAX_MESSAGE_ATTACHMENTS) {
+    throw new HttpError(
+      400,
+      `A message can have at most ${MAX_MESSAGE_ATTACHMENTS} attachments`
+    );
+  }
+  if (!unique.length) return [];
+
+  const files = await File.find({
+    _id: { $in: unique },
+    owner: sender._id,
+    purpose: "attachment",
+  }).select("_id");
+  if (files.length !== unique.length) {
+    throw new HttpError(400, "Attachment not found");
+  }
+  if (await Message.exists({ attachments: { $in: unique } })) {
+    throw new HttpError(400, "Attachment is already used in another message");
+  }
+  return unique;
+};
+
+/**
+ * Post a message to an application's thread. Emits message:sent.
+ */
+export const sendMessage = async ({
+  application,
+  job,
+  sender,
+  side,
+  body,
+  attachmentIds,
+}) => {
+  const attachments = await checkAttachments(sender, attachmentIds);
+  if (!body?.trim() && !attachments.length) {
+    throw new HttpError(400, "Message must have text or an attachment");
+  }
+
+  const message = await Message.create({
+    application: application._id,
+    sender: sender._id,
+    senderSide: side,
+    body,
+    attachments,
+  });
+
+  emitEvent("message:sent", { message, application, job });
+  return message;
+};
+
+// Messages the user has not read, i.e. from the other side and unreceipted
+const unreadFilter = (application, user, side) => ({
+  application: application._id,
+  senderSide: { $ne: side },
+  "readBy.user": { $ne: user._id },
+});
+
+export const countUnreadMessages = (application, user, side) =>
+  Message.countDocuments(unreadFilter(application, user, side));
+
+/**
+ * Add the user's read receipt to every message from the other side.
+ * Resolves to the number of messages newly marked as read.
+ */
+export const markThreadRead = async (application, user, side) => {
+  const result = await Message.updateMany(
+    unreadFilter(application, user, side),
+    { $push: { readBy: { user: user._id, readAt: new Date() } } }
+  );
+  return result.modifiedCount;
+};
+
+/**
+ * Delete the message threads of the given applications along with their
+ * attachments. Threads are only reachable through their application, so
+ * they go when it does (withdrawal, job deletion).
+ */
+export const deleteMessageThreads = async (applicationIds) => {
+  const filter = { application: { $in: applicationIds } };
+  const attachmentIds = await Message.find(filter).distinct("attachments");
+  const files = await File.find({ _id: { $in: attachmentIds } }).select(
+    "driver key"
+  );
+
+  await Message.deleteMany(filter);
+  for (const file of files) {
+    try {
+      await getStorageDriver(file.driver).driver.remove(file.key);
+    } catch (error) {
+      // A leftover blob is harmless; keep releasing the rest
+      console.error("Remove attachment error:", error);
+    }
+  }
+  await File.deleteMany({ _id: { $in: files.map((file) => file._id) } });
+};
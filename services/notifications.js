@@ -0,0 +1,195 @@
+import Notification, {
+  NOTIFICATION_TYPES,
+  EMAIL_DEFAULTS,
+} from "../models/Notification.js";
+import Job from "../models/Job.js";
+import User from "../models/User.js";
+import { appUrl } from "../utils/appUrl.js";
+import { onEvent } from "./events.js";
+import { getJobTeamIds } from "./permissions.js";
+import { notify } from "./notifier.js";
+import { publishToUser } from "./realtime.js";
+
+const RECIPIENT_FIELDS = "name email notificationPreferences";
+
+// How each status reads in the candidate's notification
+const STATUS_MESSAGES = {
+  reviewed: "has been reviewed.",
+  shortlisted: "has been shortlisted.",
+  interviewed: "has been marked as interviewed.",
+  hired: "was successful. Congratulations!",
+  rejected: "was not successful this time.",
+};
+
+const idOf = (value) => (value && value._id ? value._id : value);
+
+/**
+ * Which notification types the user also receives by email: their own
+ * choices on top of EMAIL_DEFAULTS.
+ */
+export const getEmailPreferences = (user) => {
+  const overrides = user.notificationPreferences?.email;
+  return Object.fromEntries(
+    NOTIFICATION_TYPES.map((type) => [
+      type,
+      overrides?.get(type) ?? EMAIL_DEFAULTS[type],
+    ])
+  );
+};
+
+/**
+ * Store an in-app notification for `user`, push it to their open streams
+ * and email it as well when their preferences ask for it. The user needs
+ * name, email and notificationPreferences. `attachments` only go out with
+ * the email.
+ */
+export const createNotification = async (
+  user,
+  { type, title, message, link, data = {}, attachments }
+) => {
+  const notification = await Notification.create({
+    user: user._id,
+    type,
+    title,
+    message,
+    link,
+    data,
+  });
+  publishToUser(user._id, "notification", notification);
+
+  if (getEmailPreferences(user)[type]) {
+    await notify(user, {
+      subject: title,
+      text: link ? `${message}\n\n${appUrl(link)}` : message,
+      data: { type, notificationId: notification._id, ...data },
+      attachments,
+    });
+  }
+  return notification;
+};
+
+/**
+ * Notify each of `userIds` with the content `build(user)` returns.
+ * Delivery problems for one recipient do not stop the others.
+ */
+export const notifyUsers = async (userIds, build) => {
+  const users = await User.find({ _id: { $in: userIds } }).select(
+    RECIPIENT_FIELDS
+  );
+  const results = await Promise.allSettled(
+    users.map((user) => createNotification(user, build(user)))
+  );
+  for (const result of results) {
+    if (result.status === "rejected") {
+      console.error("Create notification error:", result.reason);
+    }
+  }
+};
+
+const loadJob = async (job) =>
+  job?.title && job.createdBy
+    ? job
+    : Job.findById(idOf(job)).select("title company createdBy companyProfile");
+
+const notifyHiringTeam = async (job, content) => {
+  await notifyUsers(
+    await getJobTeamIds(job, "applications:view"),
+    () => content
+  );
+};
+
+const onApplicationSubmitted = async ({ application }) => {
+  const job = await loadJob(application.job);
+  const applicant = await User.findById(idOf(application.applicant)).select(
+    "name"
+  );
+  if (!job || !applicant) return;
+
+  await notifyHiringTeam(job, {
+    type: "application:submitted",
+    title: `New applicant for ${job.title}`,
+    message: `${applicant.name} applied for ${job.title}${
+      application.knockedOut
+        ? ". The application was rejected by screening questions."
+        : "."
+    }`,
+    link: `/jobs/${job._id}/applications`,
+    data: { applicationId: application._id, jobId: job._id },
+  });
+};
+
+const onApplicationStatusChanged = async ({
+  application,
+  to,
+  from,
+  note,
+  internal,
+}) => {
+  const job = await loadJob(application.job);
+  if (!job) return;
+
+  const shared = note && !internal ? `\n\nNote from the employer: ${note}` : "";
+  await notifyUsers([idOf(application.applicant)], () => ({
+    type: "application:status-changed",
+    title: `Application update: ${job.title}`,
+    message: `Your application for ${job.title} at ${job.company} ${STATUS_MESSAGES[to]}${shared}`,
+    link: `/applications/${application._id}`,
+    data: { applicationId: application._id, jobId: job._id, from, to },
+  }));
+};
+
+const onApplicationWithdrawn = async ({ application }) => {
+  const job = await loadJob(application.job);
+  const applicant = await User.findById(idOf(application.applicant)).select(
+    "name"
+  );
+  if (!job || !applicant) return;
+
+  await notifyHiringTeam(job, {
+    type: "application:withdrawn",
+    title: `Application withdrawn for ${job.title}`,
+    message: `${applicant.name} withdrew their application for ${job.title}.`,
+    link: `/jobs/${job._id}/applications`,
+    data: { applicationId: application._id, jobId: job._id },
+  });
+};
+
+const PREVIEW_LENGTH = 200;
+
+const onMessageSent = async ({ message, application, job }) => {
+  const jobDoc = await loadJob(job);
+  const sender = await User.findById(message.sender).select("name");
+  if (!jobDoc || !sender) return;
+
+  const recipients =
+    message.senderSide === "candidate"
+      ? await getJobTeamIds(jobDoc, "applications:manage")
+      : [idOf(application.applicant)];
+  const text = message.body || "";
+  const preview =
+    text.length > PREVIEW_LENGTH
+      ? `${text.slice(0, PREVIEW_LENGTH)}…`
+      : text || `Sent ${message.attachments.length} attachment(s)`;
+
+  await notifyUsers(recipients, () => ({
+    type: "message:received",
+    title: `New message about ${jobDoc.title}`,
+    message: `${sender.name}: ${preview}`,
+    link: `/applications/${application._id}/messages`,
+    data: {
+      applicationId: application._id,
+      jobId: jobDoc._id,
+      messageId: message._id,
+    },
+  }));
+};
+
+/**
+ * Subscribe the notification center to application and message events.
+ */
+export const registerNotificationHandlers = () => {
+  onEvent("application:submitted", onApplicationSubmitted);
+  onEvent("application:status-changed", onApplicationStatusChanged);
+  onEvent("application:withdrawn", onApplicationWithdrawn);
+  onEvent("message:sent", onMessageSent);
+};
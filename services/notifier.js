@@ -0,0 +1,36 @@
+import { sendMail } from "./mailer.js";
+
+/**
+ * Notifiers deliver user-facing messages (job alert digests, reminders)
+ * outside of the request cycle. A notifier implements
+ *   send(user, { subject, text, data, attachments })
+ * where `user` has at least _id, name and email. Pick one with NOTIFIER or
+ * install a custom one (push, Slack, a test spy) with setNotifier.
+ */
+
+const emailNotifier = {
+  async send(user, { subject, text, attachments }) {
+    await sendMail({ to: user.email, subject, text, attachments });
+  },
+};
+
+const notifiers = {
+  email: emailNotifier,
+};
+
+let customNotifier = null;
+
+export const registerNotifier = (name, notifier) => {
+  notifiers[name] = notifier;
+};
+
+export const setNotifier = (notifier) => {
+  customNotifier = notifier;
+};
+
+export const notify = async (user, message) => {
+  const name = process.env.NOTIFIER || "email";
+  const notifier = customNotifier || notifiers[name];
+  if (!notifier) throw new Error(`Unknown notifier: ${name}`);
+  await notifier.send(user, message);
+};
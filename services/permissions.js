@@ -0,0 +1,100 @@
+import Company, { COMPANY_ROLES } from "../models/Company.js";
+
+/**
+ * Central access rules for jobs and their applicants.
+ *
+ * Job permissions:
+ *   job:update          edit, close or reopen a job
+ *   job:delete          delete a job and its applications
+ *   applications:view   see applicants, their resumes and timelines
+ *   applications:manage move applicants through the hiring pipeline
+ *
+ * Admins hold every permission. On a job posted under a company, everyone
+ * else (its creator included) gets the permissions of their current team
+ * role, so leaving the company or being demoted takes effect at once. On a
+ * personal job, the creator holds every permission.
+ */
+
+const ALL_JOB_PERMISSIONS = [
+  "job:update",
+  "job:delete",
+  "applications:view",
+  "applications:manage",
+];
+
+export const ROLE_PERMISSIONS = {
+  owner: ALL_JOB_PERMISSIONS,
+  recruiter: ["job:update", "applications:view", "applications:manage"],
+  viewer: ["applications:view"],
+};
+
+/**
+ * Company team roles that grant `permission` on the company's jobs.
+ */
+export const rolesWithPermission = (permission) =>
+  Object.keys(ROLE_PERMISSIONS).filter((role) =>
+    ROLE_PERMISSIONS[role].includes(permission)
+  );
+
+const idOf = (value) => (value && value._id ? value._id : value);
+
+// The job's company with its members, loading it unless it is populated
+const loadJobCompany = (job) =>
+  job.companyProfile.members !== undefined
+    ? job.companyProfile
+    : Company.findById(job.companyProfile).select("members");
+
+/**
+ * The user's team role in a company document, or null.
+ */
+export const getCompanyRole = (user, company) => {
+  const member = company.members.find(
+    (m) => idOf(m.user).toString() === user._id.toString()
+  );
+  return member ? member.role : null;
+};
+
+/**
+ * Every permission `user` holds on `job`. The job needs its createdBy and
+ * companyProfile fields (populated or not).
+ */
+export const getJobPermissions = async (user, job) => {
+  if (user.role === "admin") return new Set(ALL_JOB_PERMISSIONS);
+  if (!job.companyProfile) {
+    return idOf(job.createdBy).toString() === user._id.toString()
+      ? new Set(ALL_JOB_PERMISSIONS)
+      : new Set();
+  }
+
+  const company = await loadJobCompany(job);
+  const role = company ? getCompanyRole(user, company) : null;
+  return new Set(role ? ROLE_PERMISSIONS[role] : []);
+};
+
+export const canAccessJob = async (user, job, permission) =>
+  (await getJobPermissions(user, job)).has(permission);
+
+/**
+ * Ids of everyone holding `permission` on `job`: the members of its
+ * company whose role grants it, or the creator of a personal job. Admins
+ * are not included.
+ */
+export const getJobTeamIds = async (job, permission) => {
+  if (!job.companyProfile) return [idOf(job.createdBy).toString()];
+
+  const company = await loadJobCompany(job);
+  const ids = (company?.members || [])
+    .filter((member) => ROLE_PERMISSIONS[member.role]?.includes(permission))
+    .map((member) => idOf(member.user).toString());
+  return [...new Set(ids)];
+};
+
+/**
+ * Ids of the companies the user belongs to, optionally limited to roles.
+ */
+export const getUserCompanyIds = async (user, roles = COMPANY_ROLES) => {
+  const companies = await Company.find({
+    members: { $elemMatch: { user: user._id, role: { $in: roles } } },
+  }).select("_id");
+  return companies.map((company) => company._id);
+};
@@ -0,0 +1,207 @@
+import Session from "../models/Session.js";
+import Job from "../models/Job.js";
+import { onEvent } from "./events.js";
+import { getJobTeamIds } from "./permissions.js";
+
+/**
+ * Server-Sent Events hub. Each open stream belongs to one user and either
+ * follows every job that user's team role lets them see, or only the jobs
+ * it subscribed to (checked when the stream opened). Applicants always get
+ * events about their own applications.
+ *
+ * Streams live in this process, so with several instances each client only
+ * hears events emitted by the instance it is connected to.
+ */
+
+const HEARTBEAT_MS =
+  (parseInt(process.env.REALTIME_HEARTBEAT_SECONDS) || 25) * 1000;
+export const MAX_STREAMS_PER_USER = 5;
+
+// userId -> Set of clients
+const clients = new Map();
+let nextEventId = 1;
+
+const idOf = (value) => (value && value._id ? value._id : value);
+
+const write = (client, type, data) => {
+  client.res.write(
+    `id: ${nextEventId++}\nevent: ${type}\ndata: ${JSON.stringify(data)}\n\n`
+  );
+};
+
+const close = (client, reason) => {
+  if (client.closed) return;
+  client.closed = true;
+  clearInterval(client.heartbeat);
+  clearTimeout(client.expiry);
+  if (reason) write(client, "close", { reason });
+  client.res.end();
+
+  const userClients = clients.get(client.userId);
+  userClients?.delete(client);
+  if (userClients?.size === 0) clients.delete(client.userId);
+};
+
+export const countStreams = (userId) =>
+  clients.get(userId.toString())?.size || 0;
+
+/**
+ * Turn the response into an event stream for `user`. `jobIds` is the
+ * already-authorized list of jobs to follow, or null for all of the
+ * user's jobs. The stream ends when the access token expires or the
+ * session is revoked; clients reconnect with a fresh token.
+ */
+export const openStream = (
+  req,
+  res,
+  { user, sessionId, tokenExpiresAt, jobIds = null }
+) => {
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    // Stop proxies such as nginx from buffering the stream
+    "X-Accel-Buffering": "no",
+  });
+  res.flushHeaders();
+  res.write("retry: 5000\n\n");
+
+  const client = {
+    res,
+    userId: user._id.toString(),
+    jobIds: jobIds && new Set(jobIds.map(String)),
+    closed: false,
+  };
+  if (!clients.has(client.userId)) clients.set(client.userId, new Set());
+  clients.get(client.userId).add(client);
+
+  // Comments keep idle connections open; the session is re-checked too
+  client.heartbeat = setInterval(async () => {
+    try {
+      const session = await Session.findById(sessionId).select(
+        "revokedAt expiresAt"
+      );
+      if (!session || !session.isActive()) return close(client, "revoked");
+      res.write(": ping\n\n");
+    } catch (error) {
+      console.error("Realtime heartbeat error:", error);
+    }
+  }, HEARTBEAT_MS);
+  if (tokenExpiresAt) {
+    client.expiry = setTimeout(
+      () => close(client, "token-expired"),
+      Math.max(0, tokenExpiresAt - Date.now())
+    );
+  }
+
+  req.on("close", () => close(client));
+
+  write(client, "ready", {
+    jobs: client.jobIds ? [...client.jobIds] : "all",
+  });
+};
+
+const isFollowing = (client, jobId, teamIds) =>
+  client.jobIds ? client.jobIds.has(jobId) : teamIds.includes(client.userId);
+
+/**
+ * Push an application event to the applicant and to every stream
+ * following the job. `forApplicant` and `forTeam` are the payloads each
+ * side sees; either may be omitted.
+ */
+export const publishApplicationEvent = async (
+  type,
+  { application, job },
+  { forApplicant, forTeam }
+) => {
+  if (clients.size === 0) return;
+
+  const jobId = idOf(job).toString();
+  const applicantId = idOf(application.applicant).toString();
+  const jobDoc =
+    job.createdBy !== undefined
+      ? job
+      : await Job.findById(jobId).select("createdBy companyProfile");
+  const teamIds = jobDoc
+    ? await getJobTeamIds(jobDoc, "applications:view")
+    : [];
+
+  for (const [userId, userClients] of clients) {
+    for (const client of userClients) {
+      if (userId === applicantId && forApplicant) {
+        write(client, type, forApplicant);
+      } else if (isFollowing(client, jobId, teamIds) && forTeam) {
+        write(client, type, forTeam);
+      }
+    }
+  }
+};
+
+/**
+ * Push an event to every open stream of one user, whatever jobs the
+ * streams follow.
+ */
+export const publishToUser = (userId, type, data) => {
+  for (const client of clients.get(userId.toString()) || []) {
+    write(client, type, data);
+  }
+};
+
+const summary = (application, job) => ({
+  applicationId: application._id,
+  jobId: idOf(job),
+  status: application.status,
+});
+
+/**
+ * Forward application events to open streams.
+ */
+export const registerRealtimeHandlers = () => {
+  onEvent("application:submitted", async ({ application, job }) => {
+    const data = { ...summary(application, job), at: application.createdAt };
+    await publishApplicationEvent(
+      "application:submitted",
+      { application, job },
+      {
+        forApplicant: data,
+        forTeam: { ...data, applicantId: idOf(application.applicant) },
+      }
+    );
+  });
+
+  onEvent(
+    "application:status-changed",
+    async ({ application, job, from, to, note, internal }) => {
+      const data = { ...summary(application, job), from, to, at: new Date() };
+      await publishApplicationEvent(
+        "application:status-changed",
+        { application, job },
+        {
+          forApplicant: note && !internal ? { ...data, note } : data,
+          forTeam: {
+            ...data,
+            applicantId: idOf(application.applicant),
+            note: note || null,
+            internal,
+          },
+        }
+      );
+    }
+  );
+
+  onEvent("application:withdrawn", async ({ application, job }) => {
+    const data = {
+      applicationId: application._id,
+      jobId: idOf(job),
+      at: new Date(),
+    };
+    await publishApplicationEvent(
+      "application:withdrawn",
+      { application, job },
+      {
+        forApplicant: data,
+        forTeam: { ...data, applicantId: idOf(application.applicant) },
+      }
+    );
+  });
+};
@@ -0,0 +1,53 @@
+/**
+ * Minimal in-process scheduler for periodic background tasks. Each task
+ * runs on its own interval and never overlaps with itself; a failing run
+ * is logged and retried on the next tick.
+ *
+ * Only one app instance should run the scheduler. Set
+ * ENABLE_SCHEDULER=false on the others.
+ */
+
+const tasks = new Map();
+
+export const registerTask = (name, { intervalMs, run }) => {
+  if (tasks.has(name)) throw new Error(`Task already registered: ${name}`);
+  tasks.set(name, { name, intervalMs, run, timer: null, running: false });
+};
+
+const runTask = async (task) => {
+  if (task.running) return;
+  task.running = true;
+  try {
+    await task.run(new Date());
+  } catch (error) {
+    console.error(`Scheduled task "${task.name}" failed:`, error);
+  } finally {
+    task.running = false;
+  }
+};
+
+export const startScheduler = () => {
+  for (const task of tasks.values()) {
+    if (task.timer) continue;
+    task.timer = setInterval(() => runTask(task), task.intervalMs);
+    // Do not keep the process alive just for background tasks
+    task.timer.unref();
+    runTask(task);
+  }
+};
+
+export const stopScheduler = () => {
+  for (const task of tasks.values()) {
+    clearInterval(task.timer);
+    task.timer = null;
+  }
+};
+
+/**
+ * Run a registered task once, immediately (scripts, admin tooling).
+ */
+export const runTaskNow = async (name) => {
+  const task = tasks.get(name);
+  if (!task) throw new Error(`Unknown task: ${name}`);
+  await runTask(task);
+};
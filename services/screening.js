@@ -0,0 +1,271 @@
+import mongoose from "mongoose";
+import { QUESTION_TYPES } from "../models/Job.js";
+import HttpError from "../utils/httpError.js";
+
+const MAX_QUESTIONS = 20;
+const MAX_OPTIONS = 20;
+const MAX_TEXT_ANSWER = 2000;
+
+const CHOICE_TYPES = ["single_choice", "multiple_choice"];
+
+const isSet = (value) => value !== undefined && value !== null && value !== "";
+
+const toBoolean = (value) => {
+  if (value === true || value === false) return value;
+  const text = String(value).toLowerCase();
+  if (["true", "yes"].includes(text)) return true;
+  if (["false", "no"].includes(text)) return false;
+  return undefined;
+};
+
+const toNumber = (value) =>
+  isSet(value) && Number.isFinite(Number(value)) ? Number(value) : undefined;
+
+const cleanKnockout = (question, knockout, label) => {
+  if (!knockout || typeof knockout !== "object") return undefined;
+
+  if (question.type === "yes_no") {
+    if (!isSet(knockout.expected)) return undefined;
+    const expected = toBoolean(knockout.expected);
+    if (expected === undefined) {
+      throw new HttpError(400, `${label}: knockout expects yes or no`);
+    }
+    return { expected };
+  }
+
+  if (CHOICE_TYPES.includes(question.type)) {
+    const accept = [].concat(knockout.accept || []).map(String);
+    if (!accept.length) return undefined;
+    if (accept.some((option) => !question.options.includes(option))) {
+      throw new HttpError(400, `${label}: knockout answers must be options`);
+    }
+    return { accept };
+  }
+
+  if (question.type === "number") {
+    const min = toNumber(knockout.min);
+    const max = toNumber(knockout.max);
+    if (min === undefined && max === undefined) return undefined;
+    if (min !== undefined && max !== undefined && min > max) {
+      throw new HttpError(400, `${label}: knockout min exceeds max`);
+    }
+    return { min, max };
+  }
+
+  throw new HttpError(400, `${label}: text questions cannot knock out`);
+};
+
+/**
+ * Check and clean screening questions sent by an employer. Existing
+ * questions keep their `_id` so answers already given still point at them.
+ * Throws HttpError(400) describing the first problem found.
+ */
+export const normalizeScreeningQuestions = (questions) => {
+  if (!Array.isArray(questions)) {
+    throw new HttpError(400, "Screening questions must be an array");
+  }
+  if (questions.length > MAX_QUESTIONS) {
+    throw new HttpError(
+      400,
+      `A job can have at most ${MAX_QUESTIONS} screening questions`
+    );
+  }
+
+  return questions.map((raw, index) => {
+    const label = `Question ${index + 1}`;
+    if (!raw || typeof raw !== "object") {
+      throw new HttpError(400, `${label} is invalid`);
+    }
+
+    const prompt = typeof raw.prompt === "string" ? raw.prompt.trim() : "";
+    if (!prompt || prompt.length > 300) {
+      throw new HttpError(400, `${label}: text must be 1–300 characters`);
+    }
+    if (!QUESTION_TYPES.includes(raw.type)) {
+      throw new HttpError(
+        400,
+        `${label}: type must be one of ${QUESTION_TYPES.join(", ")}`
+      );
+    }
+
+    const question = {
+      prompt,
+      type: raw.type,
+      options: [],
+      required: toBoolean(raw.required) === true,
+    };
+    const id = raw._id || raw.id;
+    if (id) {
+      if (!mongoose.isValidObjectId(id)) {
+        throw new HttpError(400, `${label}: invalid question ID`);
+      }
+      question._id = id;
+    }
+
+    if (CHOICE_TYPES.includes(question.type)) {
+      const options = [
+        ...new Set(
+          [].concat(raw.options || []).map((option) => String(option).trim())
+        ),
+      ].filter(Boolean);
+      if (options.length < 2 || options.length > MAX_OPTIONS) {
+        throw new HttpError(
+          400,
+          `${label}: choice questions need 2–${MAX_OPTIONS} distinct options`
+        );
+      }
+      question.options = options;
+    }
+
+    const knockout = cleanKnockout(question, raw.knockout, label);
+    if (knockout) question.knockout = knockout;
+    return question;
+  });
+};
+
+const parseAnswer = (question, value) => {
+  switch (question.type) {
+    case "text": {
+      const text = String(value).trim();
+      return text.length <= MAX_TEXT_ANSWER ? text : undefined;
+    }
+    case "number":
+      return toNumber(value);
+    case "yes_no":
+      return toBoolean(value);
+    case "single_choice":
+      return question.options.includes(String(value))
+        ? String(value)
+        : undefined;
+    case "multiple_choice": {
+      const picked = [...new Set([].concat(value).map(String))];
+      return picked.every((option) => question.options.includes(option))
+        ? picked
+        : undefined;
+    }
+    default:
+      return undefined;
+  }
+};
+
+const failsKnockout = (question, value) => {
+  const knockout = question.knockout || {};
+  switch (question.type) {
+    case "yes_no":
+      return isSet(knockout.expected) && value !== knockout.expected;
+    case "single_choice":
+      return knockout.accept?.length > 0 && !knockout.accept.includes(value);
+    case "multiple_choice":
+      return (
+        knockout.accept?.length > 0 &&
+        !knockout.accept.every((option) => value.includes(option))
+      );
+    case "number":
+      return (
+        (isSet(knockout.min) && value < knockout.min) ||
+        (isSet(knockout.max) && value > knockout.max)
+      );
+    default:
+      return false;
+  }
+};
+
+/**
+ * Validate a candidate's answers (`[{ question, value }]`) against a job's
+ * screening questions. Returns the answers to store and whether any of
+ * them failed a knockout rule. Throws HttpError(400) for unknown
+ * questions, invalid values and missing required answers.
+ */
+export const evaluateAnswers = (questions = [], rawAnswers = []) => {
+  if (!Array.isArray(rawAnswers)) {
+    throw new HttpError(400, "Answers must be an array");
+  }
+
+  const given = new Map();
+  for (const answer of rawAnswers) {
+    const id = String(answer?.question ?? answer?.questionId ?? "");
+    if (!questions.some((question) => question._id.toString() === id)) {
+      throw new HttpError(400, `Unknown screening question: ${id}`);
+    }
+    given.set(id, answer.value);
+  }
+
+  const answers = [];
+  for (const question of questions) {
+    const raw = given.get(question._id.toString());
+    const empty = !isSet(raw) || (Array.isArray(raw) && raw.length === 0);
+    if (empty) {
+      if (question.required) {
+        throw new HttpError(400, `Please answer: "${question.prompt}"`);
+      }
+      continue;
+    }
+
+    const value = parseAnswer(question, raw);
+    if (value === undefined) {
+      throw new HttpError(400, `Invalid answer to: "${question.prompt}"`);
+    }
+    answers.push({
+      question: question._id,
+      prompt: question.prompt,
+      type: question.type,
+      value,
+      knockedOut: failsKnockout(question, value),
+    });
+  }
+
+  return {
+    answers,
+    knockedOut: answers.some((answer) => answer.knockedOut),
+  };
+};
+
+/**
+ * Translate `answers[<questionId>]=value` query filters into conditions on
+ * Application. Number questions take `{ min, max }`; text answers match
+ * case-insensitively anywhere in the answer.
+ */
+export const buildAnswerFilters = (questions = [], filters = {}) => {
+  if (!filters || typeof filters !== "object") {
+    throw new HttpError(
+      400,
+      "Answer filters must be answers[questionId]=value"
+    );
+  }
+
+  return Object.entries(filters).map(([id, raw]) => {
+    const question = questions.find((q) => q._id.toString() === id);
+    if (!question) {
+      throw new HttpError(400, `Unknown screening question: ${id}`);
+    }
+
+    let value;
+    if (question.type === "number") {
+      if (raw && typeof raw === "object") {
+        const range = {};
+        const min = toNumber(raw.min);
+        const max = toNumber(raw.max);
+        if (min !== undefined) range.$gte = min;
+        if (max !== undefined) range.$lte = max;
+        value = Object.keys(range).length ? range : undefined;
+      } else {
+        value = toNumber(raw);
+      }
+    } else if (question.type === "yes_no") {
+      value = toBoolean(raw);
+    } else if (question.type === "text") {
+      const escaped = String(raw).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+      value = new RegExp(escaped, "i");
+    } else {
+      // Matches single answers and any element of multiple-choice answers
+      value = typeof raw === "string" ? raw : undefined;
+    }
+
+    if (value === undefined) {
+      throw new HttpError(400, `Invalid filter for: "${question.prompt}"`);
+    }
+    return {
+      answers: { $elemMatch: { question: question._id, value } },
+    };
+  });
+};
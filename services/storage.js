@@ -0,0 +1,107 @@
+import crypto from "crypto";
+import fs from "fs";
+import fsp from "fs/promises";
+import path from "path";
+
+/**
+ * Storage drivers keep uploaded file contents; metadata lives in the File
+ * model. A driver implements:
+ *   save(buffer, { extension }) -> key
+ *   createReadStream(key)       -> readable stream, emitting "error" if
+ *                                  the contents are gone
+ *   remove(key)
+ * Pick one with STORAGE_DRIVER or install a custom one (S3, GCS, ...) with
+ * registerStorageDriver.
+ */
+
+// Stores files under UPLOAD_DIR, sharded by the first bytes of the key
+const localDriver = {
+  root() {
+    return path.resolve(process.env.UPLOAD_DIR || "uploads");
+  },
+
+  resolve(key) {
+    // Keys are generated by save(); refuse anything that escapes the root
+    const file = path.resolve(this.root(), key);
+    if (!file.startsWith(this.root() + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return file;
+  },
+
+  async save(buffer, { extension = "" } = {}) {
+    const id = crypto.randomBytes(16).toString("hex");
+    const key = path.posix.join(id.slice(0, 2), `${id}${extension}`);
+    const file = this.resolve(key);
+    await fsp.mkdir(path.dirname(file), { recursive: true });
+    await fsp.writeFile(file, buffer, { flag: "wx" });
+    return key;
+  },
+
+  createReadStream(key) {
+    return fs.createReadStream(this.resolve(key));
+  },
+
+  async remove(key) {
+    await fsp.rm(this.resolve(key), { force: true });
+  },
+};
+
+const drivers = {
+  local: localDriver,
+};
+
+export const registerStorageDriver = (name, driver) => {
+  drivers[name] = driver;
+};
+
+export const getStorageDriver = (name) => {
+  const driverName = name || process.env.STORAGE_DRIVER || "local";
+  const driver = drivers[driverName];
+  if (!driver) throw new Error(`Unknown storage driver: ${driverName}`);
+  return { name: driverName, driver };
+};
+
+// Content-Disposition with a plain ASCII filename for old clients and the
+// exact UTF-8 name for everyone else (RFC 6266)
+const contentDisposition = (type, name) => {
+  const fallback = name.replace(/[^\x20-\x7e]|["\\]/g, "_");
+  const encoded = encodeURIComponent(name).replace(
+    /['()*]/g,
+    (char) => `%${char.charCodeAt(0).toString(16).toUpperCase()}`
+  );
+  return `${type}; filename="${fallback}"; filename*=UTF-8''${encoded}`;
+};
+
+/**
+ * Stream a stored File document to the response, as a download unless
+ * `inline` is set (e.g. public images).
+ */
+export const sendStoredFile = (res, file, { inline = false } = {}) => {
+  const { driver } = getStorageDriver(file.driver);
+  const stream = driver.createReadStream(file.key);
+
+  res.set({
+    "Content-Type": file.mimeType,
+    "Content-Length": file.size,
+    "Content-Disposition": contentDisposition(
+      inline ? "inline" : "attachment",
+      file.originalName || "download"
+    ),
+    "X-Content-Type-Options": "nosniff",
+  });
+
+  stream.on("error", (error) => {
+    console.error("Stored file read error:", error);
+    if (!res.headersSent) {
+      res.removeHeader("Content-Type");
+      res.removeHeader("Content-Disposition");
+      res
+        .status(404)
+        .json({ success: false, message: "File is no longer available" });
+    } else {
+      res.destroy(error);
+    }
+  });
+  stream.pipe(res);
+};
@@ -0,0 +1,33 @@
+import { registerTask } from "./scheduler.js";
+import { runJobAlerts } from "./jobAlerts.js";
+import { runJobLifecycle } from "./jobLifecycle.js";
+import { rollUpJobViews } from "./jobViews.js";
+
+const MINUTE_MS = 60 * 1000;
+
+const minutes = (envValue, fallback) =>
+  (parseInt(envValue) || fallback) * MINUTE_MS;
+
+/**
+ * Register every periodic background task with the scheduler.
+ */
+export const registerBackgroundTasks = () => {
+  // Checks which saved searches are due; the digest period itself is
+  // per search (daily or weekly)
+  registerTask("job-alerts", {
+    intervalMs: minutes(process.env.JOB_ALERTS_INTERVAL_MINUTES, 60),
+    run: runJobAlerts,
+  });
+
+  // Publishes scheduled jobs, sends expiry reminders and expires jobs
+  registerTask("job-lifecycle", {
+    intervalMs: minutes(process.env.JOB_LIFECYCLE_INTERVAL_MINUTES, 15),
+    run: runJobLifecycle,
+  });
+
+  // Adds deduplicated job views to the hourly/daily rollups and viewsCount
+  registerTask("job-view-rollups", {
+    intervalMs: minutes(process.env.JOB_VIEW_ROLLUP_INTERVAL_MINUTES, 5),
+    run: rollUpJobViews,
+  });
+};
@@ -0,0 +1,5 @@
+/**
+ * Absolute link into the frontend, for emails and notifications.
+ */
+export const appUrl = (path) =>
+  `${process.env.APP_URL || "http://localhost:3000"}${path}`;
@@ -0,0 +1,105 @@
+import fs from "fs";
+
+// Bundled so lookups work offline; add rows to data/cities.json as needed
+const CITIES_FILE = new URL("../data/cities.json", import.meta.url);
+
+// Common ways of writing a country that differ from its name and code
+const COUNTRY_ALIASES = {
+  usa: "us",
+  "united states of america": "us",
+  america: "us",
+  uk: "gb",
+  "great britain": "gb",
+  britain: "gb",
+  uae: "ae",
+  emirates: "ae",
+  ksa: "sa",
+  holland: "nl",
+};
+
+const normalize = (text) =>
+  String(text)
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[.]/g, "")
+    .replace(/\s+/g, " ")
+    .trim();
+
+let cityIndex = null;
+
+// Map of normalized city names and aliases to their dataset rows
+const getCityIndex = () => {
+  if (cityIndex) return cityIndex;
+
+  const cities = JSON.parse(fs.readFileSync(CITIES_FILE, "utf8"));
+  cityIndex = new Map();
+  for (const city of cities) {
+    for (const name of [city.name, ...(city.aliases || [])]) {
+      const key = normalize(name);
+      if (!cityIndex.has(key)) cityIndex.set(key, []);
+      cityIndex.get(key).push(city);
+    }
+  }
+  return cityIndex;
+};
+
+const matchesQualifier = (city, qualifier) => {
+  const countryCode = city.countryCode.toLowerCase();
+  return (
+    [
+      normalize(city.region),
+      normalize(city.country),
+      countryCode,
+      city.regionCode && city.regionCode.toLowerCase(),
+    ].includes(qualifier) || COUNTRY_ALIASES[qualifier] === countryCode
+  );
+};
+
+const toPlace = (city) => ({
+  city: city.name,
+  region: city.region,
+  country: city.country,
+  countryCode: city.countryCode,
+  point: { type: "Point", coordinates: [city.lng, city.lat] },
+});
+
+/**
+ * Parse "lat,lng" into a GeoJSON point, or return null when the text is
+ * not a valid coordinate pair.
+ */
+export const parseCoordinates = (text) => {
+  const match = /^\s*(-?\d+(?:\.\d+)?)\s*,\s*(-?\d+(?:\.\d+)?)\s*$/.exec(
+    String(text)
+  );
+  if (!match) return null;
+
+  const lat = parseFloat(match[1]);
+  const lng = parseFloat(match[2]);
+  if (Math.abs(lat) > 90 || Math.abs(lng) > 180) return null;
+  return { type: "Point", coordinates: [lng, lat] };
+};
+
+/**
+ * Look up free-text locations such as "Lahore", "Austin, TX" or
+ * "Munich, Germany" in the bundled city dataset. Qualifiers after the
+ * first comma must match the city's region or country; ambiguous names
+ * resolve to the most populous city. Returns a structured place or null.
+ */
+export const geocode = (text) => {
+  if (!text) return null;
+
+  const [name, ...qualifiers] = String(text)
+    .split(",")
+    .map(normalize)
+    .filter(Boolean);
+  if (!name) return null;
+
+  const candidates = (getCityIndex().get(name) || []).filter((city) =>
+    qualifiers.every((qualifier) => matchesQualifier(city, qualifier))
+  );
+  if (!candidates.length) return null;
+
+  candidates.sort((a, b) => b.population - a.population);
+  return toPlace(candidates[0]);
+};
@@ -0,0 +1,11 @@
+/**
+ * Error carrying the HTTP status a route should answer with. Thrown by
+ * services shared between routes; errorHandler honours `status` too.
+ */
+export default class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = "HttpError";
+    this.status = status;
+  }
+}
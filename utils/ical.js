@@ -0,0 +1,83 @@
+/**
+ * Minimal iCalendar (RFC 5545) writer for single-event invites.
+ */
+
+const escapeText = (value) =>
+  String(value)
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+
+const formatDate = (date) =>
+  new Date(date)
+    .toISOString()
+    .replace(/[-:]/g, "")
+    .replace(/\.\d{3}/, "");
+
+// Lines longer than 75 octets continue on the next line after a space
+const foldLine = (line) => {
+  const chunks = [];
+  let rest = Buffer.from(line, "utf8");
+  let limit = 75;
+  while (rest.length > limit) {
+    // Do not split a multi-byte character
+    let cut = limit;
+    while (cut > 0 && (rest[cut] & 0xc0) === 0x80) cut -= 1;
+    chunks.push(rest.subarray(0, cut).toString("utf8"));
+    rest = rest.subarray(cut);
+    limit = 74;
+  }
+  chunks.push(rest.toString("utf8"));
+  return chunks.join("\r\n ");
+};
+
+const person = (property, { name, email }, params = "") =>
+  `${property}${
+    name ? `;CN=${escapeText(name).replace(/"/g, "")}` : ""
+  }${params}:mailto:${email}`;
+
+/**
+ * Build a calendar file for one event. `method` is REQUEST for new and
+ * updated invites and CANCEL to withdraw one; `sequence` must grow with
+ * every change so calendar apps replace the earlier version.
+ */
+export const buildCalendarEvent = ({
+  uid,
+  method = "REQUEST",
+  sequence = 0,
+  start,
+  end,
+  summary,
+  description,
+  location,
+  url,
+  organizer,
+  attendees = [],
+}) => {
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//Job Portal//Interviews//EN",
+    "CALSCALE:GREGORIAN",
+    `METHOD:${method}`,
+    "BEGIN:VEVENT",
+    `UID:${uid}`,
+    `SEQUENCE:${sequence}`,
+    `DTSTAMP:${formatDate(new Date())}`,
+    `DTSTART:${formatDate(start)}`,
+    `DTEND:${formatDate(end)}`,
+    `SUMMARY:${escapeText(summary)}`,
+    `STATUS:${method === "CANCEL" ? "CANCELLED" : "CONFIRMED"}`,
+  ];
+  if (description) lines.push(`DESCRIPTION:${escapeText(description)}`);
+  if (location) lines.push(`LOCATION:${escapeText(location)}`);
+  if (url) lines.push(`URL:${url}`);
+  if (organizer) lines.push(person("ORGANIZER", organizer));
+  for (const attendee of attendees) {
+    lines.push(person("ATTENDEE", attendee, ";ROLE=REQ-PARTICIPANT;RSVP=TRUE"));
+  }
+  lines.push("END:VEVENT", "END:VCALENDAR");
+
+  return `${lines.map(foldLine).join("\r\n")}\r\n`;
+};
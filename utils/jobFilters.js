@@ -0,0 +1,142 @@
+import { toAnnualBase } from "./salary.js";
+
+// Search filters accepted by GET /api/jobs and stored on saved searches
+export const JOB_FILTER_FIELDS = [
+  "keyword",
+  "location",
+  "type",
+  "category",
+  "minSalary",
+  "maxSalary",
+  "salaryCurrency",
+  "salaryPeriod",
+  "experienceLevel",
+  "featured",
+  "companyProfile",
+];
+
+// Empty arrays (e.g. from a saved search) mean "no filter"
+const hasValue = (value) =>
+  Array.isArray(value) ? value.length > 0 : Boolean(value);
+
+const oneOrMany = (value) => (Array.isArray(value) ? { $in: value } : value);
+
+// User input is matched literally, never interpreted as a pattern
+const escapeRegex = (text) =>
+  String(text).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const EARTH_RADIUS_KM = 6378.1;
+
+// Filters that can be left out of a query, keyed by facet name
+const OMITTABLE_FILTERS = {
+  keyword: ["keyword"],
+  location: ["location"],
+  type: ["type"],
+  category: ["category"],
+  experienceLevel: ["experienceLevel"],
+  salary: ["minSalary", "maxSalary", "salaryCurrency", "salaryPeriod"],
+};
+
+/**
+ * Translate search filters into a MongoDB query over active, unexpired
+ * jobs. `omit` names filter groups to ignore, which faceted search uses to
+ * count each facet without its own filter applied.
+ *
+ * `near` is `{ coordinates: [lng, lat], radiusKm }`; `remote` keeps only
+ * remote jobs when true and drops them when false.
+ */
+export const buildJobQuery = (filters = {}, { omit = [] } = {}) => {
+  filters = { ...filters };
+  for (const name of omit) {
+    for (const field of OMITTABLE_FILTERS[name] || []) delete filters[field];
+  }
+
+  const {
+    keyword,
+    location,
+    type,
+    category,
+    minSalary,
+    maxSalary,
+    salaryCurrency,
+    salaryPeriod,
+    experienceLevel,
+    featured,
+    companyProfile,
+    near,
+    remote,
+  } = filters;
+
+  // Expired jobs are deactivated by a background task; also hide the ones
+  // it has not reached yet. Jobs older than expiry dates get theirs from
+  // scripts/backfillJobLifecycle.js.
+  const query = {
+    isActive: true,
+    expiresAt: { $gt: new Date() },
+  };
+
+  if (keyword) {
+    query.$text = { $search: keyword };
+  }
+
+  if (location) {
+    const pattern = new RegExp(escapeRegex(location), "i");
+    query.$and = [
+      {
+        $or: [
+          { location: pattern },
+          { "place.city": pattern },
+          { "place.region": pattern },
+          { "place.country": pattern },
+        ],
+      },
+    ];
+  }
+
+  if (near) {
+    query["place.point"] = {
+      $geoWithin: {
+        $centerSphere: [near.coordinates, near.radiusKm / EARTH_RADIUS_KM],
+      },
+    };
+  }
+
+  if (remote === true || remote === "true") {
+    query.workplaceType = "remote";
+  } else if (remote === false || remote === "false") {
+    query.workplaceType = { $ne: "remote" };
+  }
+
+  if (hasValue(type)) {
+    query.type = oneOrMany(type);
+  }
+
+  if (hasValue(category)) {
+    query.category = oneOrMany(category);
+  }
+
+  if (hasValue(experienceLevel)) {
+    query.experienceLevel = oneOrMany(experienceLevel);
+  }
+
+  // Salary bounds are given per `salaryPeriod` in `salaryCurrency` (yearly
+  // in the base currency by default) and compared with annualSalary
+  const annualMin = minSalary
+    ? toAnnualBase(minSalary, salaryCurrency, salaryPeriod)
+    : null;
+  const annualMax = maxSalary
+    ? toAnnualBase(maxSalary, salaryCurrency, salaryPeriod)
+    : null;
+  if (annualMin !== null) query["annualSalary.min"] = { $gte: annualMin };
+  if (annualMax !== null) query["annualSalary.max"] = { $lte: annualMax };
+
+  if (companyProfile) {
+    query.companyProfile = companyProfile;
+  }
+
+  if (featured === "true" || featured === true) {
+    query.featured = true;
+  }
+
+  return query;
+};
@@ -0,0 +1,320 @@
+import mongoose from "mongoose";
+import { query } from "express-validator";
+import HttpError from "./httpError.js";
+
+const DEFAULT_LIMIT = 10;
+
+// Query parameters shared by every paginated listing
+export const paginationValidators = [
+  query("page")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("Page must be a positive integer"),
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage("Limit must be between 1 and 50"),
+  query("cursor")
+    .optional()
+    .isString()
+    .isLength({ max: 2000 })
+    .withMessage("Invalid cursor"),
+  query("paginate")
+    .optional()
+    .isIn(["page", "cursor"])
+    .withMessage("Paginate must be page or cursor"),
+  query("includeTotal")
+    .optional()
+    .isBoolean()
+    .withMessage("includeTotal must be true or false"),
+];
+
+/**
+ * Read pagination options from a query string. Cursor mode is used when a
+ * cursor is passed or `paginate=cursor` asks for the first page of one.
+ * Totals are counted by default in page mode only; `includeTotal`
+ * overrides that either way.
+ */
+export const getPaginationOptions = (params = {}) => {
+  const mode =
+    params.cursor || params.paginate === "cursor" ? "cursor" : "page";
+
+  return {
+    mode,
+    page: parseInt(params.page) || 1,
+    limit: parseInt(params.limit) || DEFAULT_LIMIT,
+    cursor: params.cursor || null,
+    withTotal:
+      params.includeTotal === undefined
+        ? mode === "page"
+        : String(params.includeTotal) === "true",
+  };
+};
+
+const isTextScore = (direction) =>
+  typeof direction === "object" && direction.$meta === "textScore";
+
+// Cursors key on concrete values, so the text score becomes a plain
+// descending `score` field and `_id` breaks ties
+const keysetSort = (sort) => {
+  const keyset = {};
+  for (const [key, direction] of Object.entries(sort)) {
+    keyset[key] = isTextScore(direction) ? -1 : direction;
+  }
+  if (!("_id" in keyset)) {
+    const directions = Object.values(keyset);
+    keyset._id = directions.length ? directions[directions.length - 1] : -1;
+  }
+  return keyset;
+};
+
+const getPath = (doc, path) =>
+  path
+    .split(".")
+    .reduce((value, key) => (value == null ? value : value[key]), doc);
+
+const serializeValue = (value) => {
+  if (value instanceof Date) return { $date: value.toISOString() };
+  if (value instanceof mongoose.Types.ObjectId)
+    return { $oid: value.toString() };
+  return value ?? null;
+};
+
+const deserializeValue = (value) => {
+  if (value && typeof value === "object") {
+    if (typeof value.$date === "string") return new Date(value.$date);
+    if (
+      typeof value.$oid === "string" &&
+      mongoose.isValidObjectId(value.$oid)
+    ) {
+      return new mongoose.Types.ObjectId(value.$oid);
+    }
+    throw new HttpError(400, "Invalid cursor");
+  }
+  return value;
+};
+
+const encodeCursor = (doc, sort) => {
+  const keys = Object.keys(sort);
+  const values = keys.map((key) => serializeValue(getPath(doc, key)));
+  return Buffer.from(JSON.stringify({ k: keys, v: values })).toString(
+    "base64url"
+  );
+};
+
+const decodeCursor = (cursor, sort) => {
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+  } catch {
+    throw new HttpError(400, "Invalid cursor");
+  }
+
+  if (!decoded || !Array.isArray(decoded.k) || !Array.isArray(decoded.v)) {
+    throw new HttpError(400, "Invalid cursor");
+  }
+  if (decoded.k.join(",") !== Object.keys(sort).join(",")) {
+    throw new HttpError(400, "Cursor does not match the requested sort order");
+  }
+  if (decoded.v.length !== decoded.k.length) {
+    throw new HttpError(400, "Invalid cursor");
+  }
+
+  return decoded.v.map(deserializeValue);
+};
+
+// Condition for documents sorting strictly after `value` on one key.
+// MongoDB sorts null/missing values before everything else.
+const afterValue = (key, direction, value) => {
+  if (value === null) {
+    return direction === 1 ? { [key]: { $ne: null } } : null;
+  }
+  if (direction === 1) return { [key]: { $gt: value } };
+  if (key === "_id") return { _id: { $lt: value } };
+  return { $or: [{ [key]: { $lt: value } }, { [key]: null }] };
+};
+
+// Keyset filter: equal on every earlier sort key and after the cursor on
+// the next one
+const cursorFilter = (sort, values) => {
+  const keys = Object.keys(sort);
+  const branches = [];
+
+  keys.forEach((key, index) => {
+    const after = afterValue(key, sort[key], values[index]);
+    if (!after) return;
+
+    const branch = {};
+    keys.slice(0, index).forEach((previous, i) => {
+      branch[previous] = values[i];
+    });
+    branches.push({ ...branch, ...after });
+  });
+
+  // Nothing can follow the cursor
+  return branches.length ? { $or: branches } : { _id: { $exists: false } };
+};
+
+// Turn a Mongoose select string into an aggregation projection
+const toProjection = (select) => {
+  const projection = {};
+  for (const field of select.split(/\s+/).filter(Boolean)) {
+    if (field.startsWith("-")) projection[field.slice(1)] = 0;
+    else projection[field] = 1;
+  }
+  return projection;
+};
+
+// Sorting on a computed value (text score, distance) needs an aggregation
+// that materialises it first
+const computedSortStages = (filter, sort, geoNear) => {
+  if (geoNear) {
+    return [
+      {
+        $geoNear: {
+          ...geoNear,
+          query: filter,
+          distanceField: "distance",
+          distanceMultiplier: 0.001,
+          spherical: true,
+        },
+      },
+    ];
+  }
+  if (Object.values(sort).some(isTextScore)) {
+    return [
+      { $match: filter },
+      { $addFields: { score: { $meta: "textScore" } } },
+    ];
+  }
+  return null;
+};
+
+const runQuery = async (Model, filter, options) => {
+  const { sort, after, skip, limit, select, populate, geoNear } = options;
+  const head = computedSortStages(filter, sort, geoNear);
+  const keyset = keysetSort(sort);
+
+  if (!head) {
+    let find = Model.find(after ? { $and: [filter, after] } : filter);
+    if (select) find = find.select(select);
+    for (const path of populate) find = find.populate(path);
+    return find.sort(keyset).skip(skip).limit(limit).lean();
+  }
+
+  const pipeline = [...head];
+  if (after) pipeline.push({ $match: after });
+  pipeline.push({ $sort: keyset });
+  if (skip) pipeline.push({ $skip: skip });
+  pipeline.push({ $limit: limit });
+  if (select) pipeline.push({ $project: toProjection(select) });
+
+  const docs = await Model.aggregate(pipeline);
+  return populate.length ? Model.populate(docs, populate) : docs;
+};
+
+const findCursorPage = async (Model, filter, options) => {
+  const { sort, pagination } = options;
+  const keyset = keysetSort(sort);
+  const after = pagination.cursor
+    ? cursorFilter(keyset, decodeCursor(pagination.cursor, keyset))
+    : null;
+
+  const docs = await runQuery(Model, filter, {
+    ...options,
+    after,
+    skip: 0,
+    limit: pagination.limit + 1,
+  });
+
+  const hasNext = docs.length > pagination.limit;
+  const items = hasNext ? docs.slice(0, pagination.limit) : docs;
+
+  return {
+    items,
+    hasNext,
+    nextCursor: hasNext ? encodeCursor(items[items.length - 1], keyset) : null,
+  };
+};
+
+const findOffsetPage = async (Model, filter, options) => {
+  const { page, limit, withTotal } = options.pagination;
+
+  // Without a total, one extra row tells us whether there is a next page
+  const docs = await runQuery(Model, filter, {
+    ...options,
+    skip: (page - 1) * limit,
+    limit: withTotal ? limit : limit + 1,
+  });
+
+  const hasNext = !withTotal && docs.length > limit;
+  return {
+    items: hasNext ? docs.slice(0, limit) : docs,
+    hasNext,
+  };
+};
+
+/**
+ * The `pagination` block of a page-mode response. `hasNext` is only used
+ * when the total was not counted.
+ */
+export const buildPagePagination = (
+  { page, limit, withTotal },
+  { total, hasNext, totalKey = "total" }
+) => {
+  const totalPages = withTotal ? Math.ceil(total / limit) : undefined;
+  return {
+    currentPage: page,
+    ...(withTotal && { totalPages, [totalKey]: total }),
+    limit,
+    hasNext: withTotal ? page < totalPages : hasNext,
+    hasPrev: page > 1,
+  };
+};
+
+/**
+ * Run a paginated listing in either page or cursor mode. Cursor pages are
+ * keyed on the sort fields plus `_id`, so rows inserted while paging do not
+ * shift later pages. Returns the lean documents and the `pagination` block
+ * for the response, with the total reported under `totalKey`.
+ *
+ * `populate` takes arguments for `Query#populate`, one per entry.
+ * `geoNear` (`{ near, key }`) sorts by a computed `distance` in km; the
+ * sort must then be `{ distance: 1 }` and `filter` cannot use `$text`.
+ */
+export const findPage = async (
+  Model,
+  filter,
+  { sort, pagination, select, populate = [], geoNear, totalKey = "total" }
+) => {
+  const options = { sort, pagination, select, populate, geoNear };
+  const { mode, page, limit, withTotal } = pagination;
+
+  const [result, total] = await Promise.all([
+    mode === "cursor"
+      ? findCursorPage(Model, filter, options)
+      : findOffsetPage(Model, filter, options),
+    withTotal ? Model.countDocuments(filter) : null,
+  ]);
+
+  if (mode === "cursor") {
+    return {
+      items: result.items,
+      pagination: {
+        limit,
+        hasNext: result.hasNext,
+        nextCursor: result.nextCursor,
+        ...(withTotal && { [totalKey]: total }),
+      },
+    };
+  }
+
+  return {
+    items: result.items,
+    pagination: buildPagePagination(pagination, {
+      total,
+      hasNext: result.hasNext,
+      totalKey,
+    }),
+  };
+};
@@ -0,0 +1,76 @@
+import fs from "fs";
+
+export const SALARY_PERIODS = [
+  "hourly",
+  "daily",
+  "weekly",
+  "monthly",
+  "yearly",
+];
+
+// Approximate reference rates; point EXCHANGE_RATES_FILE at a JSON file of
+// the same shape ({ base, rates: { CODE: units per 1 base } }) to override
+const DEFAULT_RATES_FILE = new URL(
+  "../data/exchangeRates.json",
+  import.meta.url
+);
+
+let exchangeRates = null;
+
+export const getExchangeRates = () => {
+  if (!exchangeRates) {
+    const file = process.env.EXCHANGE_RATES_FILE || DEFAULT_RATES_FILE;
+    exchangeRates = JSON.parse(fs.readFileSync(file, "utf8"));
+  }
+  return exchangeRates;
+};
+
+export const getBaseCurrency = () => getExchangeRates().base;
+
+export const isSupportedCurrency = (currency) =>
+  typeof currency === "string" &&
+  Object.hasOwn(getExchangeRates().rates, currency.toUpperCase());
+
+// How many of each period make up a working year
+const periodsPerYear = () => ({
+  hourly: parseFloat(process.env.SALARY_HOURS_PER_YEAR) || 2080,
+  daily: parseFloat(process.env.SALARY_DAYS_PER_YEAR) || 260,
+  weekly: 52,
+  monthly: 12,
+  yearly: 1,
+});
+
+/**
+ * Convert an amount paid per `period` in `currency` into a yearly amount in
+ * the base currency. Returns null for missing amounts and unknown
+ * currencies or periods.
+ */
+export const toAnnualBase = (amount, currency, period = "yearly") => {
+  if (amount === undefined || amount === null || amount === "") return null;
+
+  const { base, rates } = getExchangeRates();
+  const rate = rates[(currency || base).toUpperCase()];
+  const perYear = periodsPerYear()[period || "yearly"];
+  if (!rate || !perYear || Number.isNaN(Number(amount))) return null;
+
+  return Math.round((Number(amount) * perYear) / rate);
+};
+
+/**
+ * Yearly base-currency form of a job's salary, stored alongside it so jobs
+ * paid in different currencies and periods can be filtered and sorted
+ * together. Returns undefined when nothing can be normalized.
+ */
+export const normalizeSalary = (salary) => {
+  if (!salary) return undefined;
+
+  const min = toAnnualBase(salary.min, salary.currency, salary.period);
+  const max = toAnnualBase(salary.max, salary.currency, salary.period);
+  if (min === null && max === null) return undefined;
+
+  return {
+    min: min ?? undefined,
+    max: max ?? undefined,
+    currency: getBaseCurrency(),
+  };
+};
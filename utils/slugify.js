@@ -0,0 +1,30 @@
+/**
+ * URL-safe slug: lowercase ASCII words joined by dashes.
+ */
+export const slugify = (value) =>
+  String(value)
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "")
+    .slice(0, 80);
+
+// Legal-form suffixes ignored when comparing company names
+const COMPANY_SUFFIXES =
+  /\b(inc|incorporated|llc|ltd|limited|corp|corporation|co|company|gmbh|plc|sa|ag|bv|pty)\b/g;
+
+/**
+ * Key used to detect the same company under different spellings, so that
+ * "Acme", "ACME Inc." and "Acme, LLC" all map to "acme".
+ */
+export const companyNameKey = (name) => {
+  const slug = slugify(name);
+  const key = slug
+    .replace(/-/g, " ")
+    .replace(COMPANY_SUFFIXES, "")
+    .trim()
+    .replace(/\s+/g, "-");
+  // A name made only of suffixes ("Company Inc") keeps its full slug
+  return key || slug;
+};
@@ -0,0 +1,40 @@
+/**
+ * Whether `value` is an IANA time zone name the runtime knows, such as
+ * "Europe/Berlin" or "UTC".
+ */
+export const isTimeZone = (value) => {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: value });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Calendar date (YYYY-MM-DD) of `date` in `timeZone`.
+ */
+export const localDate = (date, timeZone = "UTC") =>
+  new Intl.DateTimeFormat("en-CA", {
+    timeZone,
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+  }).format(date);
+
+/**
+ * Every calendar date from `from` to `to` (inclusive) in `timeZone`.
+ */
+export const dateRange = (from, to, timeZone = "UTC") => {
+  const days = [];
+  const last = localDate(to, timeZone);
+  const [year, month, day] = localDate(from, timeZone).split("-").map(Number);
+  for (let i = 0; ; i += 1) {
+    const current = new Date(Date.UTC(year, month - 1, day + i))
+      .toISOString()
+      .slice(0, 10);
+    days.push(current);
+    if (current >= last) break;
+  }
+  return days;
+};
@@ -0,0 +1,151 @@
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import Session from "../models/Session.js";
+import ActionToken from "../models/ActionToken.js";
+
+export const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+const newRefreshToken = () => crypto.randomBytes(40).toString("hex");
+
+const refreshTokenExpiry = () => {
+  const days = parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS) || 30;
+  return new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+};
+
+/**
+ * Sign a short-lived access token bound to a session.
+ */
+export const generateToken = (userId, sessionId) => {
+  return jwt.sign({ userId, sid: sessionId }, process.env.JWT_SECRET, {
+    expiresIn: process.env.JWT_EXPIRE || "15m",
+  });
+};
+
+/**
+ * Start a new session for a user who just registered or logged in.
+ * Returns the access token and the (unhashed) refresh token.
+ */
+export const createSession = async (userId, req) => {
+  const refreshToken = newRefreshToken();
+  const session = await Session.create({
+    user: userId,
+    refreshTokenHash: hashToken(refreshToken),
+    userAgent: req.get("user-agent"),
+    ip: req.ip,
+    lastUsedAt: new Date(),
+    expiresAt: refreshTokenExpiry(),
+  });
+
+  return {
+    token: generateToken(userId, session._id),
+    refreshToken,
+  };
+};
+
+/**
+ * Exchange a refresh token for a new access/refresh pair.
+ * Resolves to null when the token is unknown, expired or revoked. A token
+ * that was already rotated out revokes its session.
+ */
+export const rotateRefreshToken = async (refreshToken) => {
+  const hash = hashToken(refreshToken);
+  const nextToken = newRefreshToken();
+  const now = new Date();
+
+  const session = await Session.findOneAndUpdate(
+    { refreshTokenHash: hash, revokedAt: null, expiresAt: { $gt: now } },
+    {
+      $set: {
+        refreshTokenHash: hashToken(nextToken),
+        previousTokenHash: hash,
+        lastUsedAt: now,
+      },
+    },
+    { new: true }
+  );
+
+  if (!session) {
+    await Session.updateOne(
+      { previousTokenHash: hash, revokedAt: null },
+      { $set: { revokedAt: now } }
+    );
+    return null;
+  }
+
+  return {
+    token: generateToken(session.user, session._id),
+    refreshToken: nextToken,
+    userId: session.user,
+  };
+};
+
+/**
+ * Revoke the session a refresh token belongs to.
+ */
+export const revokeRefreshToken = (refreshToken) =>
+  Session.updateOne(
+    { refreshTokenHash: hashToken(refreshToken), revokedAt: null },
+    { $set: { revokedAt: new Date() } }
+  );
+
+/**
+ * Revoke every active session of a user ("log out all devices").
+ */
+export const revokeAllSessions = (userId) =>
+  Session.updateMany(
+    { user: userId, revokedAt: null },
+    { $set: { revokedAt: new Date() } }
+  );
+
+const ACTION_TOKEN_EXPIRY = {
+  "verify-email": () => process.env.EMAIL_VERIFY_EXPIRE || "24h",
+  "reset-password": () => process.env.PASSWORD_RESET_EXPIRE || "1h",
+};
+
+/**
+ * Issue a signed one-time token for an emailed link. Any earlier unused
+ * token of the same purpose is invalidated.
+ */
+export const issueActionToken = async (userId, purpose) => {
+  const jti = crypto.randomBytes(16).toString("hex");
+  const token = jwt.sign({ userId, purpose }, process.env.JWT_SECRET, {
+    expiresIn: ACTION_TOKEN_EXPIRY[purpose](),
+    jwtid: jti,
+  });
+  const { exp } = jwt.decode(token);
+
+  await ActionToken.updateMany(
+    { user: userId, purpose, usedAt: null },
+    { $set: { usedAt: new Date() } }
+  );
+  await ActionToken.create({
+    user: userId,
+    purpose,
+    jti,
+    expiresAt: new Date(exp * 1000),
+  });
+
+  return token;
+};
+
+/**
+ * Verify and burn a one-time token. Resolves to the user id it was issued
+ * for, or null when the token is invalid, expired, already used or was
+ * issued for a different purpose.
+ */
+export const consumeActionToken = async (token, purpose) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (error) {
+    return null;
+  }
+  if (decoded.purpose !== purpose || !decoded.jti) return null;
+
+  const record = await ActionToken.findOneAndUpdate(
+    { jti: decoded.jti, purpose, usedAt: null },
+    { $set: { usedAt: new Date() } }
+  );
+  return record ? record.user : null;
+};
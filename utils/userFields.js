@@ -0,0 +1,33 @@
+// Fields a job seeker may set on User.profile
+export const PROFILE_FIELDS = [
+  "dateOfBirth",
+  "location",
+  "education",
+  "degree",
+  "fieldOfStudy",
+  "university",
+  "graduationYear",
+  "gpa",
+  "experience",
+  "currentJobTitle",
+  "currentCompany",
+  "skills",
+  "jobType",
+  "workType",
+  "preferredLocation",
+  "salaryRange",
+  "industries",
+  "bio",
+];
+
+/**
+ * Copy only the allowed keys that are present on source.
+ */
+export const pickFields = (source, allowed) => {
+  const picked = {};
+  if (!source || typeof source !== "object") return picked;
+  for (const key of allowed) {
+    if (source[key] !== undefined) picked[key] = source[key];
+  }
+  return picked;
+};